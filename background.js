@@ -1,7 +1,11 @@
 // Background Service Worker - Manages recording state and coordinates content scripts
 
+importScripts('recording-store.js');
+
 // ==================== STATE ====================
 let isRecording = false;
+let isPaused = false;
+let pausedAt = null;
 let currentRecording = {
   name: '',
   actions: [],
@@ -9,6 +13,75 @@ let currentRecording = {
   url: ''
 };
 let activeTabId = null;
+// Every tab taking part in the recording: tabId -> { pageId, openerTabId, visited }
+let recordedTabs = {};
+let lastActionTabId = null;
+let currentStep = null;
+let isReplaying = false;
+// Tabs the running replay drives: the one it started in and any opened from them
+let replayTabIds = new Set();
+let replayStopRequested = false;
+
+// ==================== STATE PERSISTENCE ====================
+
+// Recording state is mirrored to chrome.storage.session so it survives service worker restarts
+const RECORDING_STATE_KEY = 'recordingState';
+
+/**
+ * Mirror the recording state to chrome.storage.session
+ * Called after every change so a restarted worker can pick up where it left off
+ */
+function persistRecordingState() {
+  const snapshot = isRecording
+    ? { isRecording, isPaused, pausedAt, currentRecording, activeTabId, recordedTabs, lastActionTabId, currentStep }
+    : null;
+  
+  return chrome.storage.session.set({ [RECORDING_STATE_KEY]: snapshot }).catch(error => {
+    console.error('[Background] Failed to persist recording state:', error);
+  });
+}
+
+// Bursts of background changes (captured requests, page errors) are persisted once
+const PERSIST_DEBOUNCE = 1000;
+let persistTimer = null;
+
+function schedulePersistRecordingState() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    persistRecordingState();
+  }, PERSIST_DEBOUNCE);
+}
+
+/**
+ * Rehydrate a running recording after the worker was suspended,
+ * re-arm the content scripts in the recorded tab and tell the side panel to resync
+ */
+async function restoreRecordingState() {
+  try {
+    const { [RECORDING_STATE_KEY]: saved } = await chrome.storage.session.get(RECORDING_STATE_KEY);
+    if (!saved?.isRecording) return;
+    
+    isRecording = true;
+    isPaused = !!saved.isPaused;
+    pausedAt = saved.pausedAt || null;
+    currentRecording = saved.currentRecording;
+    activeTabId = saved.activeTabId;
+    recordedTabs = saved.recordedTabs || { [activeTabId]: { pageId: 'tab1', openerTabId: null, visited: true } };
+    lastActionTabId = saved.lastActionTabId || activeTabId;
+    currentStep = saved.currentStep || null;
+    
+    console.log('[Background] Restored recording:', currentRecording.name, 'with', currentRecording.actions.length, 'actions');
+    
+    await armRecordedTabs();
+    chrome.runtime.sendMessage({ type: 'RECORDING_RESTORED' }).catch(() => {});
+  } catch (error) {
+    console.error('[Background] Failed to restore recording state:', error);
+  }
+}
+
+// Events that woke the worker wait for this before touching the state
+const stateRestored = restoreRecordingState();
 
 // ==================== SIDE PANEL SETUP ====================
 
@@ -23,14 +96,17 @@ chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true }).catch(() =>
 // ==================== MESSAGE HANDLING ====================
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  handleMessage(message, sender, sendResponse);
+  stateRestored.then(() => handleMessage(message, sender, sendResponse));
   return true; // Keep channel open for async
 });
 
 async function handleMessage(message, sender, sendResponse) {
   switch (message.type) {
     case 'START_RECORDING':
-      await startRecording(message.tabId, message.name);
+      await startRecording(message.tabId, message.name, message.step, {
+        testSuite: message.testSuite,
+        testCase: message.testCase
+      });
       sendResponse({ success: true });
       break;
       
@@ -39,51 +115,111 @@ async function handleMessage(message, sender, sendResponse) {
       sendResponse({ success: true, recording });
       break;
       
+    case 'PAUSE_RECORDING':
+      await pauseRecording();
+      sendResponse({ success: true });
+      break;
+      
+    case 'RESUME_RECORDING':
+      await resumeRecording();
+      sendResponse({ success: true });
+      break;
+      
     case 'GET_STATUS':
       sendResponse({
         isRecording,
+        isPaused,
+        isReplaying,
         currentRecording,
-        activeTabId
+        activeTabId,
+        currentStep
       });
       break;
       
+    case 'SET_CURRENT_STEP':
+      currentStep = message.step || null;
+      persistRecordingState();
+      sendResponse({ success: true });
+      break;
+      
+    case 'START_REPLAY':
+      if (isRecording || isReplaying) {
+        sendResponse({ success: false, error: isRecording ? 'Recording in progress' : 'Replay already running' });
+        break;
+      }
+      // Runs in the background; progress is reported via REPLAY_STEP_RESULT messages
+      startReplay(message.tabId, message.recording, message.secrets);
+      sendResponse({ success: true });
+      break;
+      
+    case 'STOP_REPLAY':
+      replayStopRequested = true;
+      sendResponse({ success: true });
+      break;
+      
     case 'ACTION_RECORDED':
-      if (isRecording) {
-        const action = {
-          ...message.action,
+      if (isRecording && sender.tab && recordedTabs[sender.tab.id]) {
+        recordTabSwitch(sender.tab);
+        const removed = message.action.type === 'dblclick' ? dropDoubleClickClicks(message.action, sender) : 0;
+        const { screenshotRect, redactRects = [], waitFor = [], ...actionData } = message.action;
+        const recordedAction = {
+          ...actionData,
           timestamp: Date.now(),
-          tabId: sender.tab?.id,
+          tabId: sender.tab.id,
+          pageId: recordedTabs[sender.tab.id].pageId,
           frameId: sender.frameId,
-          url: sender.tab?.url || sender.url
+          url: sender.tab.url || sender.url,
+          step: currentStep
         };
-        currentRecording.actions.push(action);
-        
-        // Notify side panel
-        chrome.runtime.sendMessage({
-          type: 'NEW_ACTION',
-          action,
-          actionCount: currentRecording.actions.length
-        }).catch(() => {});
+        const waits = [...takeRecordedWaits(sender.tab.id, recordedAction.url), ...waitFor];
+        if (waits.length > 0) recordedAction.waitFor = waits;
+        referenceCapturedValues(recordedAction);
+        // File contents go to IndexedDB, not into the recording
+        const fileData = recordedAction.type === 'upload' ? takeUploadData(recordedAction) : [];
+        appendAction(recordedAction, removed);
+        if (fileData.some(Boolean)) storeUploadFixtures(recordedAction, fileData);
+        // The content script hides its overlay until this response, so it stays out of the screenshot
+        if ('screenshotRect' in message.action) {
+          await captureStepScreenshot(recordedAction, sender.tab, screenshotRect, redactRects);
+        }
       }
       sendResponse({ success: true });
       break;
       
+    case 'NETWORK_CAPTURED':
+      if (sender.tab) recordNetworkEntry(sender.tab.id, message.entry);
+      sendResponse({ success: true });
+      break;
+      
+    case 'PAGE_ERROR':
+      if (sender.tab) recordPageError(sender.tab.id, message.entry);
+      sendResponse({ success: true });
+      break;
+      
     case 'ADD_PAGE_MARKER':
       if (isRecording && message.pageName) {
-        const pageMarkerAction = {
+        appendAction({
           type: 'page-marker',
           pageName: message.pageName,
           timestamp: Date.now(),
-          description: message.pageName
-        };
-        currentRecording.actions.push(pageMarkerAction);
-        
-        // Notify side panel
-        chrome.runtime.sendMessage({
-          type: 'NEW_ACTION',
-          action: pageMarkerAction,
-          actionCount: currentRecording.actions.length
-        }).catch(() => {});
+          description: message.pageName,
+          step: currentStep
+        });
+      }
+      sendResponse({ success: true });
+      break;
+      
+    case 'ADD_PAGE_ASSERTION':
+      if (isRecording && !isPaused) {
+        await addPageAssertion(message.assertion);
+      }
+      sendResponse({ success: true });
+      break;
+      
+    case 'UPDATE_ACTION':
+      if (isRecording && currentRecording.actions[message.index]) {
+        Object.assign(currentRecording.actions[message.index], message.changes);
+        persistRecordingState();
       }
       sendResponse({ success: true });
       break;
@@ -100,9 +236,16 @@ async function handleMessage(message, sender, sendResponse) {
 
 // ==================== RECORDING CONTROL ====================
 
-async function startRecording(tabId, name) {
+/**
+ * Start a recording in a tab
+ * context carries the side panel's test suite and test case names so it can resync later
+ */
+async function startRecording(tabId, name, step, context = {}) {
   isRecording = true;
   activeTabId = tabId;
+  recordedTabs = { [tabId]: { pageId: 'tab1', openerTabId: null, visited: true } };
+  lastActionTabId = tabId;
+  currentStep = step || null;
   
   let tab;
   try {
@@ -120,39 +263,163 @@ async function startRecording(tabId, name) {
     hour12: false
   });
   
+  const { recordingOptions } = await chrome.storage.local.get('recordingOptions');
+  
   currentRecording = {
     id: `rec_${Date.now()}`,
     name: name || `Recording - ${timestamp}`,
+    testSuite: context.testSuite || null,
+    testCase: context.testCase || null,
     actions: [],
     startTime: Date.now(),
-    url: tab.url
+    url: tab.url,
+    networkCapture: recordingOptions?.networkCapture || 'off'
   };
   
-  // Inject content script into all frames
+  // The initial goto is the first step
+  appendAction({
+    type: 'navigate',
+    trigger: 'start',
+    url: tab.url,
+    description: `Open ${tab.url}`,
+    timestamp: Date.now(),
+    tabId,
+    pageId: 'tab1',
+    step: currentStep
+  });
+  recordedTabs[tabId].history = [tab.url];
+  recordedTabs[tabId].historyIndex = 0;
+  
+  await persistRecordingState();
+  await armRecordingTab(tabId);
+  
+  console.log('[Background] Recording started:', currentRecording.name);
+}
+
+/**
+ * Add an action to the recording, persist it and show it in the side panel
+ * `removed` tells the side panel how many trailing actions the new one replaces
+ */
+function appendAction(action, removed = 0) {
+  currentRecording.actions.push(action);
+  persistRecordingState();
+  
+  chrome.runtime.sendMessage({
+    type: 'NEW_ACTION',
+    action,
+    removed,
+    actionCount: currentRecording.actions.length
+  }).catch(() => {});
+}
+
+/**
+ * A double-click arrives after the click(s) it started with; drop those so only the double-click remains
+ */
+function dropDoubleClickClicks(action, sender) {
+  let removed = 0;
+  while (removed < 2) {
+    const last = currentRecording.actions[currentRecording.actions.length - 1];
+    if (last?.type !== 'click' || last.xpath !== action.xpath || last.tabId !== sender.tab.id || last.frameId !== sender.frameId) break;
+    currentRecording.actions.pop();
+    if (last.screenshotId) deleteScreenshot(last.screenshotId).catch(() => {});
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * Inject the content script into all frames of a tab and start recording in each
+ */
+async function armRecordingTab(tabId) {
   try {
     await chrome.scripting.executeScript({
       target: { tabId: tabId, allFrames: true },
       files: ['content.js']
     });
+    await injectNetworkHook(tabId);
+    await injectErrorHook(tabId);
     
     // Start recording in all frames
-    await chrome.tabs.sendMessage(tabId, { type: 'START_RECORDING' });
+    await chrome.tabs.sendMessage(tabId, { type: 'START_RECORDING', paused: isPaused });
   } catch (error) {
     console.error('[Background] Failed to inject content script:', error);
   }
+}
+
+async function armRecordedTabs() {
+  for (const tabId of getRecordedTabIds()) {
+    await armRecordingTab(tabId);
+  }
+}
+
+/**
+ * Pause capturing in every frame; the recording and its actions are kept
+ */
+async function pauseRecording() {
+  if (!isRecording || isPaused) return;
   
-  console.log('[Background] Recording started:', currentRecording.name);
+  // Frames flush any typing in progress before they go quiet
+  await sendToRecordingTab({ type: 'PAUSE_RECORDING' });
+  
+  isPaused = true;
+  pausedAt = Date.now();
+  await persistRecordingState();
+  
+  console.log('[Background] Recording paused');
+}
+
+/**
+ * Resume capturing and add a pause marker covering the gap
+ */
+async function resumeRecording() {
+  if (!isRecording || !isPaused) return;
+  
+  const resumedAt = Date.now();
+  const pauseMarker = {
+    type: 'pause',
+    timestamp: pausedAt || resumedAt,
+    resumedAt,
+    duration: resumedAt - (pausedAt || resumedAt),
+    description: 'Recording paused',
+    step: currentStep
+  };
+  
+  isPaused = false;
+  pausedAt = null;
+  appendAction(pauseMarker);
+  
+  // New pages may have loaded while paused, so re-arm every frame
+  await armRecordedTabs();
+  await sendToRecordingTab({ type: 'RESUME_RECORDING' });
+  
+  console.log('[Background] Recording resumed after', pauseMarker.duration, 'ms');
+}
+
+async function sendToRecordingTab(message) {
+  for (const tabId of getRecordedTabIds()) {
+    try {
+      await chrome.tabs.sendMessage(tabId, message);
+    } catch (e) {
+      // Tab may be navigating or closed; frames pick up the state when re-armed
+    }
+  }
 }
 
 async function stopRecording() {
   isRecording = false;
+  isPaused = false;
+  pausedAt = null;
+  await persistRecordingState();
   
-  // Stop recording in all frames
-  if (activeTabId) {
+  // Let screenshots of the last steps finish so they are linked before the recording is returned
+  await screenshotQueue;
+  
+  // Stop recording in all frames of every recorded tab
+  for (const tabId of getRecordedTabIds()) {
     try {
       // Send stop via scripting API (more reliable for iframes)
       await chrome.scripting.executeScript({
-        target: { tabId: activeTabId, allFrames: true },
+        target: { tabId: tabId, allFrames: true },
         func: () => {
           if (window.__actionRecorderInjected) {
             window.postMessage({ type: '__ACTION_RECORDER_STOP__' }, '*');
@@ -161,7 +428,7 @@ async function stopRecording() {
       });
       
       // Also send regular message
-      await chrome.tabs.sendMessage(activeTabId, { type: 'STOP_RECORDING' });
+      await chrome.tabs.sendMessage(tabId, { type: 'STOP_RECORDING' });
     } catch (e) {
       console.log('[Background] Error stopping recording:', e);
     }
@@ -175,20 +442,1234 @@ async function stopRecording() {
   console.log('[Background] Recording stopped with', recording.actions.length, 'actions');
   
   activeTabId = null;
+  recordedTabs = {};
+  lastActionTabId = null;
   return recording;
 }
 
+// ==================== MULTI-TAB RECORDING ====================
+
+function getRecordedTabIds() {
+  return Object.keys(recordedTabs).map(Number);
+}
+
+/**
+ * Follow a tab or popup opened from a recorded (or replayed) tab
+ * Its content scripts are armed by the navigation listeners once it loads
+ */
+function adoptTab(tabId, openerTabId) {
+  if (isReplaying && replayTabIds.has(openerTabId)) replayTabIds.add(tabId);
+  if (!isRecording || recordedTabs[tabId] || !recordedTabs[openerTabId]) return;
+  
+  const pageId = `tab${Object.keys(recordedTabs).length + 1}`;
+  recordedTabs[tabId] = { pageId, openerTabId, visited: false };
+  persistRecordingState();
+  
+  console.log('[Background] Following new tab', tabId, 'as', pageId);
+}
+
+/**
+ * Record a switch-tab step when an action comes from a different tab than the last one
+ * The first switch to a new tab also marks the opener's last action as the one that opened it
+ */
+function recordTabSwitch(tab) {
+  if (tab.id === lastActionTabId) return;
+  lastActionTabId = tab.id;
+  
+  const entry = recordedTabs[tab.id];
+  const opened = !entry.visited;
+  entry.visited = true;
+  
+  const switchAction = {
+    type: 'switch-tab',
+    pageId: entry.pageId,
+    opened,
+    description: `Switch to ${opened ? 'new tab' : 'tab'}: ${tab.title || tab.url}`,
+    timestamp: Date.now(),
+    tabId: tab.id,
+    url: tab.url,
+    step: currentStep
+  };
+  
+  if (opened) {
+    const opener = recordedTabs[entry.openerTabId];
+    switchAction.openerPageId = opener?.pageId || null;
+    
+    const openingAction = currentRecording.actions.findLast(a =>
+      a.tabId === entry.openerTabId && !['switch-tab', 'page-marker', 'pause'].includes(a.type)
+    );
+    if (openingAction && !openingAction.opensPage) openingAction.opensPage = entry.pageId;
+  }
+  
+  appendAction(switchAction);
+}
+
+// ==================== UPLOAD FIXTURES ====================
+
+/**
+ * Strip the file contents off an upload action, returning them in file order
+ */
+function takeUploadData(action) {
+  const files = action.files || [];
+  action.files = files.map(({ data, ...file }) => file);
+  return files.map(file => file.data || null);
+}
+
+/**
+ * Save uploaded file contents as fixtures and link them from the action by fixtureId
+ */
+async function storeUploadFixtures(action, fileData) {
+  const recordingId = currentRecording.id;
+  for (let i = 0; i < action.files.length; i++) {
+    if (!fileData[i]) continue;
+    
+    const file = action.files[i];
+    const fixtureId = `fixture_${action.timestamp}_${i}`;
+    try {
+      await putFixture({ id: fixtureId, recordingId, name: file.name, type: file.type, size: file.size, data: fileData[i] });
+      file.fixtureId = fixtureId;
+    } catch (error) {
+      console.error('[Background] Could not store upload fixture:', file.name, error);
+    }
+  }
+  persistRecordingState();
+}
+
+/**
+ * Load the stored contents of an upload action's files for replay
+ */
+async function loadUploadFixtures(action) {
+  const files = await Promise.all((action.files || []).map(async file => {
+    if (!file.fixtureId) return file;
+    try {
+      const fixture = await getFixture(file.fixtureId);
+      return fixture ? { ...file, data: fixture.data } : file;
+    } catch (error) {
+      console.error('[Background] Could not load upload fixture:', file.name, error);
+      return file;
+    }
+  }));
+  return { ...action, files };
+}
+
+// ==================== VARIABLES ====================
+
+// Capture steps store a value in a variable; later input values and expectations reference it as {{name}}
+const VARIABLE_FIELDS = ['value', 'expectedValue', 'textContent'];
+// Shorter captured values are too likely to turn up by chance
+const MIN_REFERENCED_VALUE_LENGTH = 3;
+
+/**
+ * Replace values captured earlier in the recording with {{variable}} references,
+ * so order numbers and other per-run values are not baked into later steps.
+ * Only whole values are replaced (whole path segments and query values in URL assertions);
+ * regex assertions are left as recorded
+ */
+function referenceCapturedValues(action) {
+  if (action.type === 'capture' || action.match === 'regex') return;
+  
+  const captures = currentRecording.actions
+    .filter(a => a.type === 'capture' && (a.capturedValue || '').length >= MIN_REFERENCED_VALUE_LENGTH)
+    .reverse();
+  
+  for (const field of VARIABLE_FIELDS) {
+    if (typeof action[field] !== 'string') continue;
+    for (const capture of captures) {
+      const reference = `{{${capture.variable}}}`;
+      if (action[field] === capture.capturedValue) {
+        action[field] = reference;
+      } else if (action.assertionType === 'url') {
+        action[field] = action[field].replace(/[^/?#&=]+/g, part => (part === capture.capturedValue ? reference : part));
+      }
+    }
+  }
+}
+
+// Names set by the recording's capture steps; other {{name}} text is left as recorded
+function getVariableNames(actions) {
+  return new Set(actions.filter(a => a.type === 'capture' && a.variable).map(a => a.variable));
+}
+
+function applyVariables(action, variables) {
+  const resolved = { ...action };
+  for (const field of VARIABLE_FIELDS) {
+    if (typeof action[field] !== 'string') continue;
+    resolved[field] = action[field].replace(/\{\{(\w+)\}\}/g, (reference, name) => (name in variables ? variables[name] : reference));
+  }
+  return resolved;
+}
+
+// A {{variable}} of the recording that no capture step has filled yet
+function findUnresolvedVariable(action, variableNames) {
+  for (const field of VARIABLE_FIELDS) {
+    for (const [, name] of String(action[field] ?? '').matchAll(/\{\{(\w+)\}\}/g)) {
+      if (variableNames.has(name)) return name;
+    }
+  }
+  return null;
+}
+
+// ==================== STEP WAITS ====================
+
+// Each recorded step keeps a waitFor list of what the page was busy with since the previous step:
+// { type: 'networkIdle', requests: [paths] } and { type: 'urlChanged', url } come from here,
+// spinnerGone and elementVisible from the content script. Replay and exports wait on them instead of sleeping.
+const NETWORK_IDLE_TIME = 500;
+const MAX_WAITED_REQUESTS = 5;
+// Requests kept per tab between steps, so a polling page cannot grow the list without bound
+const MAX_PENDING_REQUESTS = 100;
+const NETWORK_REQUEST_FILTER = { urls: ['<all_urls>'], types: ['xmlhttprequest'] };
+
+// fetch/XHR activity per tab: requests in flight, time of the last change, URLs requested since the last step
+const networkActivity = {};
+
+function getNetworkActivity(tabId) {
+  if (!networkActivity[tabId]) {
+    networkActivity[tabId] = { inflight: new Set(), lastChangeAt: 0, requests: [] };
+  }
+  return networkActivity[tabId];
+}
+
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  if (details.tabId < 0 || !(isRecording || isReplaying)) return;
+  
+  const activity = getNetworkActivity(details.tabId);
+  activity.inflight.add(details.requestId);
+  activity.lastChangeAt = Date.now();
+  activity.requests.push(details.url);
+  if (activity.requests.length > MAX_PENDING_REQUESTS) activity.requests.shift();
+}, NETWORK_REQUEST_FILTER);
+
+function finishNetworkRequest(details) {
+  const activity = networkActivity[details.tabId];
+  if (!activity?.inflight.delete(details.requestId)) return;
+  activity.lastChangeAt = Date.now();
+}
+
+chrome.webRequest.onCompleted.addListener(finishNetworkRequest, NETWORK_REQUEST_FILTER);
+chrome.webRequest.onErrorOccurred.addListener(finishNetworkRequest, NETWORK_REQUEST_FILTER);
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  delete networkActivity[tabId];
+});
+
+/**
+ * Waits for a step recorded in a tab: the page's own requests made since the previous step,
+ * and a URL change when the app navigated without a page load (pushState)
+ */
+function takeRecordedWaits(tabId, pageUrl) {
+  const waits = [];
+  
+  const previous = currentRecording.actions.findLast(a => a.tabId === tabId && a.url);
+  if (previous && stripUrlQuery(previous.url) !== stripUrlQuery(pageUrl)) {
+    waits.push({ type: 'urlChanged', url: pageUrl });
+  }
+  
+  const activity = networkActivity[tabId];
+  const requests = activity ? activity.requests : [];
+  if (activity) activity.requests = [];
+  
+  // The page's own API calls only; analytics, ads and other third parties are not what the step waits for
+  const paths = [...new Set(requests.filter(url => isSameOrigin(url, pageUrl)).map(url => new URL(url).pathname))];
+  if (paths.length > 0) {
+    waits.push({ type: 'networkIdle', requests: paths.slice(-MAX_WAITED_REQUESTS) });
+  }
+  
+  return waits;
+}
+
+function stripUrlQuery(url) {
+  return (url || '').split(/[?#]/)[0];
+}
+
+// Waits keep only the request path, so only requests to the page's own origin are waited for
+function isSameOrigin(url, pageUrl) {
+  try {
+    return new URL(url).origin === new URL(pageUrl).origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Replay: wait for what the step waited for while recording. Best effort - if the page never
+ * settles the step runs anyway and reports its own failure.
+ */
+async function waitForRecordedWaits(tabId, action) {
+  const waits = action.waitFor || [];
+  const deadline = Date.now() + REPLAY_STEP_TIMEOUT;
+  
+  const urlWait = waits.find(wait => wait.type === 'urlChanged');
+  if (urlWait) await waitForTabUrl(tabId, urlWait.url, deadline);
+  
+  if (waits.some(wait => wait.type === 'networkIdle')) {
+    await waitForNetworkIdle(tabId, deadline);
+  }
+}
+
+/**
+ * Wait until the tab has had no fetch/XHR in flight for NETWORK_IDLE_TIME
+ */
+async function waitForNetworkIdle(tabId, deadline) {
+  while (Date.now() < deadline && !replayStopRequested) {
+    const activity = networkActivity[tabId];
+    if (!activity || (activity.inflight.size === 0 && Date.now() - activity.lastChangeAt >= NETWORK_IDLE_TIME)) {
+      return true;
+    }
+    await delay(100);
+  }
+  return false;
+}
+
+// ==================== STEP SCREENSHOTS ====================
+
+// captureVisibleTab allows two captures per second
+const SCREENSHOT_INTERVAL = 550;
+// Context kept around the element in a cropped screenshot (CSS pixels)
+const SCREENSHOT_PADDING = 80;
+let lastScreenshotAt = 0;
+let screenshotQueue = Promise.resolve();
+
+/**
+ * Screenshot the tab for a step, cropped around the element, and link it from the action by screenshotId
+ * Captures run one at a time to stay under the captureVisibleTab rate limit.
+ * redactRects are the fields holding masked values, blacked out before anything is stored.
+ */
+function captureStepScreenshot(action, tab, rect, redactRects = []) {
+  const actionIndex = currentRecording.actions.indexOf(action);
+  const recordingId = currentRecording.id;
+  
+  const capture = screenshotQueue.then(async () => {
+    // Steps dropped while waiting in the queue (clicks merged into a double-click) need no screenshot
+    if (!tab.active || !currentRecording.actions.includes(action)) return;
+    
+    const wait = lastScreenshotAt + SCREENSHOT_INTERVAL - Date.now();
+    if (wait > 0) await delay(wait);
+    lastScreenshotAt = Date.now();
+    
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const blob = await cropScreenshot(dataUrl, rect, tab.width, redactRects);
+    const screenshotId = `${recordingId}_${action.timestamp}`;
+    await putScreenshot({ id: screenshotId, recordingId, actionIndex, blob });
+    
+    action.screenshotId = screenshotId;
+    persistRecordingState();
+    chrome.runtime.sendMessage({ type: 'SCREENSHOT_CAPTURED', timestamp: action.timestamp, screenshotId }).catch(() => {});
+  }).catch(error => {
+    console.error('[Background] Could not capture step screenshot:', error);
+  });
+  
+  screenshotQueue = capture;
+  return capture;
+}
+
+/**
+ * Crop to the element's rect plus padding and outline the element
+ * Without a rect (cross-origin frames) or with the element off screen the whole tab is kept
+ */
+async function cropScreenshot(dataUrl, rect, viewportWidth, redactRects = []) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const scale = viewportWidth ? bitmap.width / viewportWidth : 1;
+  
+  let area = { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+  if (rect) {
+    const left = Math.max(0, Math.floor((rect.x - SCREENSHOT_PADDING) * scale));
+    const top = Math.max(0, Math.floor((rect.y - SCREENSHOT_PADDING) * scale));
+    const right = Math.min(bitmap.width, Math.ceil((rect.x + rect.width + SCREENSHOT_PADDING) * scale));
+    const bottom = Math.min(bitmap.height, Math.ceil((rect.y + rect.height + SCREENSHOT_PADDING) * scale));
+    if (right > left && bottom > top) area = { x: left, y: top, width: right - left, height: bottom - top };
+  }
+  
+  const canvas = new OffscreenCanvas(area.width, area.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
+  
+  context.fillStyle = '#1e1e2e';
+  redactRects.forEach(field => {
+    context.fillRect(field.x * scale - area.x, field.y * scale - area.y, field.width * scale, field.height * scale);
+  });
+  
+  if (rect) {
+    context.strokeStyle = '#ff4757';
+    context.lineWidth = 2 * scale;
+    context.strokeRect(rect.x * scale - area.x, rect.y * scale - area.y, rect.width * scale, rect.height * scale);
+  }
+  
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+// ==================== PAGE ASSERTIONS ====================
+
+// Assertions on the page itself rather than on an element
+const PAGE_ASSERTION_TYPES = ['url', 'title', 'noErrors'];
+
+/**
+ * Record a URL, title or no-console-errors assertion for the recorded tab in front
+ * An empty expected value takes the page's current URL or title
+ */
+async function addPageAssertion({ assertionType, match = 'equals', expectedValue }) {
+  try {
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const tab = activeTab && recordedTabs[activeTab.id] ? activeTab : await chrome.tabs.get(lastActionTabId || activeTabId);
+    recordTabSwitch(tab);
+    
+    const expected = assertionType === 'noErrors' ? '' : expectedValue || (assertionType === 'title' ? tab.title : tab.url) || '';
+    const assertion = { type: 'assertion', assertionType, match, expectedValue: expected };
+    referenceCapturedValues(assertion);
+    appendAction({
+      ...assertion,
+      description: describePageAssertion(assertionType, match, assertion.expectedValue),
+      timestamp: Date.now(),
+      tabId: tab.id,
+      pageId: recordedTabs[tab.id].pageId,
+      url: tab.url,
+      step: currentStep
+    });
+  } catch (error) {
+    console.error('[Background] Error adding page assertion:', error);
+  }
+}
+
+function describePageAssertion(assertionType, match, expected) {
+  if (assertionType === 'noErrors') return 'No console errors';
+  const subject = assertionType === 'title' ? 'Page title' : 'URL';
+  if (match === 'regex') return `${subject} matches /${expected}/`;
+  return `${subject} ${match === 'contains' ? 'contains' : 'is'} "${expected}"`;
+}
+
+/**
+ * Check a URL or title assertion, retrying until it passes or the step times out
+ */
+async function replayPageAssertion(tabId, action) {
+  const deadline = Date.now() + REPLAY_STEP_TIMEOUT;
+  const expected = action.expectedValue || '';
+  let actual = '';
+  
+  try {
+    while (Date.now() < deadline && !replayStopRequested) {
+      const tab = await chrome.tabs.get(tabId);
+      actual = (action.assertionType === 'title' ? tab.title : tab.url) || '';
+      if (matchesExpected(actual, expected, action.match)) return { success: true, actual };
+      await delay(250);
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  
+  return {
+    success: false,
+    actual,
+    error: replayStopRequested ? 'Replay stopped' : `Expected ${describePageAssertion(action.assertionType, action.match, expected)} but found "${actual}"`
+  };
+}
+
+function matchesExpected(actual, expected, match) {
+  if (match === 'regex') return new RegExp(expected).test(actual);
+  if (match === 'contains') return actual.includes(expected);
+  return actual === expected;
+}
+
+// ==================== PAGE HOOKS ====================
+
+// Hooks injected into the page's own world (the network and error hooks below) report what they see
+// through one bridge: a DOM event carrying { kind, entry } that content.js forwards to this worker.
+const PAGE_BRIDGE_EVENT = '__action-recorder-page';
+
+/**
+ * Run a page-world hook in all frames of a tab, or the given ones, after the bridge it reports through
+ */
+async function injectPageHook(tabId, frameIds, hook, args) {
+  const target = frameIds ? { tabId, frameIds } : { tabId, allFrames: true };
+  
+  try {
+    await chrome.scripting.executeScript({
+      target, world: 'MAIN', injectImmediately: true, func: installPageBridge, args: [PAGE_BRIDGE_EVENT]
+    });
+    await chrome.scripting.executeScript({ target, world: 'MAIN', injectImmediately: true, func: hook, args });
+  } catch (e) {
+    // Frame might not be accessible
+  }
+}
+
+/**
+ * Runs in the page's world (world: 'MAIN') ahead of the hooks. Defines
+ * window.__actionRecorderPageBridge(kind, entry), which sends entries to content.js as DOM events,
+ * holding them back until the content script says it is listening.
+ */
+function installPageBridge(eventName) {
+  if (window.__actionRecorderPageBridge) return;
+  
+  let contentReady = false;
+  const pending = [];
+  const post = (kind, entry) => {
+    if (!contentReady) {
+      if (pending.length < 100) pending.push([kind, entry]);
+      return;
+    }
+    document.dispatchEvent(new CustomEvent(eventName, { detail: JSON.stringify({ kind, entry }) }));
+  };
+  document.addEventListener(`${eventName}-ready`, () => {
+    contentReady = true;
+    pending.splice(0).forEach(([kind, entry]) => post(kind, entry));
+  });
+  document.dispatchEvent(new CustomEvent(`${eventName}-hook`));
+  
+  Object.defineProperty(window, '__actionRecorderPageBridge', { value: post });
+}
+
+// ==================== NETWORK CAPTURE ====================
+
+// With the networkCapture recording option set to 'capture' or 'mock', a hook in the page's own
+// world reports every fetch/XHR response. Each entry is listed on the action that preceded it
+// (action.network). In mock mode whole bodies are kept and entries are marked for stubbing.
+// Bodies go to IndexedDB (recording-store.js); the entry keeps its bodyId and a short preview.
+const NETWORK_CAPTURE_BODY_LENGTH = 2000;
+const NETWORK_MOCK_BODY_LENGTH = 200000;
+const NETWORK_BODY_PREVIEW_LENGTH = 300;
+const MAX_NETWORK_ENTRIES_PER_ACTION = 20;
+
+// Responses seen during a replay that has response assertions to check; null otherwise
+let replayResponses = null;
+
+function isResponseAssertion(action) {
+  return action.type === 'assertion' && action.assertionType === 'response';
+}
+
+/**
+ * How much of each response body the hook should keep in a tab, or 0 when nothing is captured there
+ */
+function getNetworkBodyLength(tabId) {
+  if (isReplaying) return replayResponses && replayTabIds.has(tabId) ? NETWORK_MOCK_BODY_LENGTH : 0;
+  if (!isRecording || !recordedTabs[tabId]) return 0;
+  if (currentRecording.networkCapture === 'mock') return NETWORK_MOCK_BODY_LENGTH;
+  return currentRecording.networkCapture === 'capture' ? NETWORK_CAPTURE_BODY_LENGTH : 0;
+}
+
+/**
+ * Install the fetch/XHR hook in the page's main world, in all frames or the given ones
+ */
+async function injectNetworkHook(tabId, frameIds = null) {
+  const maxBodyLength = getNetworkBodyLength(tabId);
+  if (maxBodyLength) await injectPageHook(tabId, frameIds, installNetworkHook, [maxBodyLength]);
+}
+
+// Hook each new document as early as possible, so requests made while it loads are seen too
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  await stateRestored;
+  await injectNetworkHook(details.tabId, [details.frameId]);
+});
+
+/**
+ * Runs in the page's world (world: 'MAIN'), where it can wrap the page's own fetch and XMLHttpRequest.
+ * Must not reference anything outside itself. Reports each response through the page bridge.
+ */
+function installNetworkHook(maxBodyLength) {
+  if (window.__actionRecorderNetworkHook) return;
+  window.__actionRecorderNetworkHook = true;
+  
+  const post = (entry) => window.__actionRecorderPageBridge?.('network', entry);
+  
+  // Streams never finish, and binary bodies are no use in a step list
+  const isTextBody = (contentType) => /json|text|xml|javascript/i.test(contentType) && !/event-stream/i.test(contentType);
+  
+  const toEntry = (method, url, startedAt, status, contentType, body) => {
+    let href = String(url);
+    try {
+      href = new URL(href, location.href).href;
+    } catch (e) {
+      // Keep the URL as given
+    }
+    const entry = {
+      method: String(method || 'GET').toUpperCase(),
+      url: href,
+      status,
+      contentType,
+      startedAt,
+      duration: Date.now() - startedAt,
+      responseBody: typeof body === 'string' ? body.slice(0, maxBodyLength) : null
+    };
+    if (typeof body === 'string' && body.length > maxBodyLength) entry.truncated = true;
+    return entry;
+  };
+  
+  const originalFetch = window.fetch;
+  window.fetch = function (input, init) {
+    const startedAt = Date.now();
+    const method = init?.method || (input instanceof Request ? input.method : 'GET');
+    const url = input instanceof Request ? input.url : input;
+    const result = originalFetch.apply(this, arguments);
+    
+    result.then((response) => {
+      const contentType = response.headers.get('content-type') || '';
+      const body = isTextBody(contentType) ? response.clone().text() : Promise.resolve(null);
+      body.catch(() => null).then(text => post(toEntry(method, response.url || url, startedAt, response.status, contentType, text)));
+    }, () => post(toEntry(method, url, startedAt, 0, '', null)));
+    
+    return result;
+  };
+  
+  const requests = new WeakMap();
+  const { open, send } = XMLHttpRequest.prototype;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    requests.set(this, { method, url });
+    return open.apply(this, arguments);
+  };
+  XMLHttpRequest.prototype.send = function () {
+    const request = requests.get(this);
+    if (request) {
+      const startedAt = Date.now();
+      this.addEventListener('loadend', () => {
+        const contentType = this.getResponseHeader('content-type') || '';
+        let body = null;
+        if (this.responseType === 'json' && this.response !== null) {
+          body = JSON.stringify(this.response);
+        } else if (['', 'text'].includes(this.responseType) && isTextBody(contentType)) {
+          body = this.responseText;
+        }
+        post(toEntry(request.method, this.responseURL || request.url, startedAt, this.status, contentType, body));
+      });
+    }
+    return send.apply(this, arguments);
+  };
+}
+
+/**
+ * List a captured response on the action in its tab that was recorded before the request started,
+ * or keep it for the running replay's response assertions
+ */
+function recordNetworkEntry(tabId, entry) {
+  if (isReplaying) {
+    if (replayTabIds.has(tabId)) replayResponses?.push(entry);
+    return;
+  }
+  if (!getNetworkBodyLength(tabId) || isPaused) return;
+  
+  const tabActions = currentRecording.actions.filter(a => a.tabId === tabId);
+  const preceding = tabActions.findLast(a => a.timestamp <= entry.startedAt) || tabActions[tabActions.length - 1];
+  if (!preceding) return;
+  
+  preceding.network = preceding.network || [];
+  if (preceding.network.length >= MAX_NETWORK_ENTRIES_PER_ACTION) return;
+  
+  const { responseBody, ...stored } = entry;
+  if (currentRecording.networkCapture === 'mock') stored.mock = true;
+  if (responseBody) {
+    stored.bodyId = `${currentRecording.id}_${entry.startedAt}_${Math.random().toString(36).slice(2, 8)}`;
+    stored.bodyPreview = responseBody.slice(0, NETWORK_BODY_PREVIEW_LENGTH);
+    stored.bodyLength = responseBody.length;
+    putResponseBody({ id: stored.bodyId, recordingId: currentRecording.id, body: responseBody }).catch(error => {
+      console.error('[Background] Could not store response body:', error);
+    });
+  }
+  preceding.network.push(stored);
+  schedulePersistRecordingState();
+}
+
+/**
+ * Check a response assertion against the responses seen since the step that triggered it started
+ * e.g. { request: { method: 'GET', url }, expectedStatus: 200, jsonPath: 'data.id', expectedValue: '42' }
+ */
+async function replayResponseAssertion(action, since) {
+  const deadline = Date.now() + REPLAY_STEP_TIMEOUT;
+  const { method, url } = action.request || {};
+  let response = null;
+  
+  while (!response && Date.now() < deadline && !replayStopRequested) {
+    response = replayResponses.find(entry =>
+      entry.startedAt >= since && entry.method === method && stripUrlQuery(entry.url) === stripUrlQuery(url));
+    if (!response) await delay(100);
+  }
+  if (!response) {
+    return { success: false, error: replayStopRequested ? 'Replay stopped' : `No ${method} ${stripUrlQuery(url)} response after the previous step` };
+  }
+  
+  if (action.expectedStatus && response.status !== action.expectedStatus) {
+    return { success: false, actual: String(response.status), error: `Expected status ${action.expectedStatus} but got ${response.status}` };
+  }
+  if (!action.jsonPath) return { success: true, actual: String(response.status) };
+  
+  let actual;
+  try {
+    actual = JSON.stringify(readJsonPath(JSON.parse(response.responseBody), action.jsonPath));
+  } catch (e) {
+    return { success: false, error: 'Response body is not JSON' };
+  }
+  if (actual !== action.expectedValue) {
+    return { success: false, actual, error: `Expected ${action.jsonPath} to be ${action.expectedValue} but found ${actual}` };
+  }
+  return { success: true, actual };
+}
+
+/**
+ * Read a value such as data.items[0].id (an optional leading $ is ignored); undefined when missing
+ */
+function readJsonPath(value, path) {
+  const segments = Array.from(path.replace(/^\$/, '').matchAll(/([^.[\]]+)|\[(\d+)\]/g), ([, key, index]) => index ?? key);
+  return segments.reduce((node, key) => (node == null ? undefined : node[key]), value);
+}
+
+// ==================== PAGE ERRORS ====================
+
+// While recording or replaying, a hook in the page's own world reports console.error calls,
+// uncaught exceptions and unhandled promise rejections from every frame. Recording lists each
+// on the action in its tab that preceded it (action.errors); replay lists them on the step result.
+const MAX_ERROR_MESSAGE_LENGTH = 500;
+const MAX_ERRORS_PER_ACTION = 20;
+
+// Errors reported during the running replay that no step result lists yet
+let replayErrors = [];
+// Errors since the running replay's last no-console-errors assertion
+let uncheckedReplayErrors = [];
+
+/**
+ * Install the error hook in the page's main world, in all frames or the given ones
+ */
+async function injectErrorHook(tabId, frameIds = null) {
+  if (isReplaying ? !replayTabIds.has(tabId) : !(isRecording && recordedTabs[tabId])) return;
+  await injectPageHook(tabId, frameIds, installErrorHook, [MAX_ERROR_MESSAGE_LENGTH]);
+}
+
+// Hook each new document before its own scripts run, so errors while it loads are seen too
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  await stateRestored;
+  await injectErrorHook(details.tabId, [details.frameId]);
+});
+
+/**
+ * Runs in the page's world (world: 'MAIN'), where it can wrap the page's own console.error.
+ * Must not reference anything outside itself. Reports each error through the page bridge.
+ */
+function installErrorHook(maxMessageLength) {
+  if (window.__actionRecorderErrorHook) return;
+  window.__actionRecorderErrorHook = true;
+  
+  const post = (entry) => window.__actionRecorderPageBridge?.('error', entry);
+  
+  const describe = (value) => {
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    if (typeof value === 'string') return value;
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch (e) {
+      return String(value);
+    }
+  };
+  const report = (kind, message, source = null) => post({
+    kind,
+    message: message.slice(0, maxMessageLength),
+    source,
+    url: location.href,
+    timestamp: Date.now()
+  });
+  
+  const originalError = console.error;
+  console.error = function (...args) {
+    try {
+      report('console', args.map(describe).join(' '));
+    } catch (e) {
+      // Never break the page's own logging
+    }
+    return originalError.apply(this, args);
+  };
+  
+  // Failed image and script loads do not bubble to window, so these are script errors only
+  window.addEventListener('error', (event) => {
+    const source = event.filename ? `${event.filename}:${event.lineno}:${event.colno}` : null;
+    report('exception', event.error instanceof Error ? describe(event.error) : String(event.message), source);
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    report('rejection', `Unhandled rejection: ${describe(event.reason)}`);
+  });
+}
+
+/**
+ * List a reported error on the action in its tab that was recorded before it,
+ * or keep it for the running replay's step results
+ */
+function recordPageError(tabId, entry) {
+  if (isReplaying) {
+    if (!replayTabIds.has(tabId)) return;
+    replayErrors.push(entry);
+    uncheckedReplayErrors.push(entry);
+    return;
+  }
+  if (!isRecording || isPaused || !recordedTabs[tabId]) return;
+  
+  const tabActions = currentRecording.actions.filter(a => a.tabId === tabId);
+  const preceding = tabActions.findLast(a => a.timestamp <= entry.timestamp) || tabActions[tabActions.length - 1];
+  if (!preceding) return;
+  
+  preceding.errors = preceding.errors || [];
+  if (preceding.errors.length >= MAX_ERRORS_PER_ACTION) return;
+  preceding.errors.push(entry);
+  schedulePersistRecordingState();
+  chrome.runtime.sendMessage({ type: 'PAGE_ERROR_RECORDED', timestamp: preceding.timestamp, errors: preceding.errors }).catch(() => {});
+}
+
+/**
+ * Pass when no page reported an error since the replay started or its previous no-console-errors assertion
+ */
+function replayNoErrorsAssertion() {
+  const errors = uncheckedReplayErrors.splice(0);
+  if (errors.length === 0) return { success: true };
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+  return { success: false, actual: String(errors.length), error: `Console error: ${errors[0].message}${more}` };
+}
+
+// ==================== REPLAY ====================
+
+const REPLAY_STEP_TIMEOUT = 10000;
+const REPLAY_STEP_DELAY = 300;
+// Extra time for the content script's answer to arrive after its own step timeout
+const REPLAY_RESPONSE_GRACE = 2000;
+// Unanswered healing suggestions are rejected after this long
+const HEALING_CONFIRM_TIMEOUT = 60000;
+const HEALING_POLL_INTERVAL = 500;
+// Steps run by the extension itself rather than a content script
+const BROWSER_STEP_TYPES = ['wait', 'navigate', 'reload', 'back', 'forward'];
+
+/**
+ * Replay recorded actions in a tab, one step at a time
+ * Data-driven recordings run once per data row. Sends REPLAY_STEP_RESULT to the side panel
+ * after each step and REPLAY_COMPLETE at the end. Stops at the first failing step.
+ */
+async function startReplay(tabId, recording, secrets = {}) {
+  isReplaying = true;
+  replayStopRequested = false;
+  replayTabIds = new Set([tabId]);
+  
+  const actions = recording.actions || [];
+  const isBound = actions.some(a => a.parameter);
+  const dataRows = isBound && recording.dataRows?.length ? recording.dataRows : [null];
+  const results = [];
+  const replayStart = Date.now();
+  let failed = false;
+  replayResponses = actions.some(isResponseAssertion) ? [] : null;
+  replayErrors = [];
+  uncheckedReplayErrors = [];
+  await injectErrorHook(tabId);
+  const variableNames = getVariableNames(actions);
+  
+  console.log('[Background] Replay started:', actions.length, 'actions x', dataRows.length, 'rows');
+  
+  try {
+    for (let row = 0; row < dataRows.length && !failed && !replayStopRequested; row++) {
+      // Tabs the previous row opened would be taken for this row's new tabs
+      if (row > 0) await closeReplayPopups(tabId);
+      
+      // Start from the page the recording started on
+      // (recordings that begin with a navigate step open it themselves)
+      if (recording.url && actions[0]?.type !== 'navigate') {
+        await chrome.tabs.update(tabId, { url: recording.url });
+        await delay(REPLAY_STEP_DELAY);
+      }
+      
+      // Tabs opened during this run, by the recording's page ids
+      const replayTabs = { tab1: tabId };
+      let currentTabId = tabId;
+      // Values stored by capture steps in this run
+      const variables = {};
+      // Start of the last step that can trigger requests, for response assertions
+      let triggerStart = Date.now();
+      
+      for (let index = 0; index < actions.length; index++) {
+        if (replayStopRequested) break;
+        
+        let action = applyVariables(applySecrets(applyDataRow(actions[index], dataRows[row]), secrets), variables);
+        if (action.type === 'upload') action = await loadUploadFixtures(action);
+        const stepStart = Date.now();
+        
+        if (action.waitFor) await waitForRecordedWaits(currentTabId, action);
+        
+        let outcome = { success: true };
+        const missingVariable = findUnresolvedVariable(action, variableNames);
+        if (missingVariable) {
+          outcome = { success: false, error: `No value captured for {{${missingVariable}}} before this step` };
+        } else if (action.type === 'switch-tab') {
+          outcome = await replaySwitchTab(action, replayTabs);
+          if (outcome.success) currentTabId = replayTabs[action.pageId];
+        } else if (BROWSER_STEP_TYPES.includes(action.type)) {
+          outcome = await replayBrowserStep(currentTabId, action);
+        } else if (isResponseAssertion(action)) {
+          outcome = await replayResponseAssertion(action, triggerStart);
+        } else if (action.type === 'assertion' && action.assertionType === 'noErrors') {
+          outcome = replayNoErrorsAssertion();
+        } else if (action.type === 'assertion' && PAGE_ASSERTION_TYPES.includes(action.assertionType)) {
+          outcome = await replayPageAssertion(currentTabId, action);
+        } else if (!['page-marker', 'pause'].includes(action.type)) {
+          outcome = await replayAction(currentTabId, action);
+        }
+        
+        if (action.type === 'capture' && outcome.success) {
+          variables[action.variable] = outcome.actual ?? '';
+        }
+        if (!isResponseAssertion(action) && !['page-marker', 'pause'].includes(action.type)) {
+          triggerStart = stepStart;
+        }
+        
+        // Later data rows reuse the healed locators instead of asking again
+        if (outcome.healed) {
+          actions[index] = { ...actions[index], ...outcome.healed.changes };
+        }
+        
+        const result = { index, row, duration: Date.now() - stepStart, ...outcome };
+        
+        // Give navigations and UI updates triggered by the step a moment to start;
+        // errors they cause in that time still belong to this step
+        if (result.success) await delay(REPLAY_STEP_DELAY);
+        const errors = replayErrors.splice(0);
+        if (errors.length > 0) result.errors = errors;
+        results.push(result);
+        
+        chrome.runtime.sendMessage({ type: 'REPLAY_STEP_RESULT', result, rowCount: dataRows.length }).catch(() => {});
+        
+        if (!result.success) {
+          failed = true;
+          break;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[Background] Replay error:', error);
+    failed = true;
+  }
+  
+  const passed = !failed && !replayStopRequested && results.length === actions.length * dataRows.length;
+  
+  chrome.runtime.sendMessage({
+    type: 'REPLAY_COMPLETE',
+    results,
+    passed,
+    rowCount: dataRows.length,
+    stopped: replayStopRequested,
+    duration: Date.now() - replayStart
+  }).catch(() => {});
+  
+  console.log('[Background] Replay finished:', passed ? 'passed' : 'failed');
+  isReplaying = false;
+  replayTabIds = new Set();
+  replayResponses = null;
+  replayErrors = [];
+  uncheckedReplayErrors = [];
+}
+
+/**
+ * Replay one recorded step in the frame it was recorded in
+ * If the element is gone but the page offers a likely replacement, ask the user about it
+ * and run the step on the replacement when accepted (`healed` then holds its new locators)
+ */
+async function replayAction(tabId, action) {
+  const outcome = await sendReplayStep(tabId, action, true);
+  if (!outcome.healingCandidate) return outcome;
+  
+  const { healingCandidate, ...notFound } = outcome;
+  const accepted = await confirmHealingCandidate(tabId);
+  if (!accepted) return { ...notFound, error: 'Element not found (suggested replacement rejected)' };
+  
+  const healedOutcome = await sendReplayStep(tabId, { ...action, ...healingCandidate.changes }, false);
+  return { ...healedOutcome, healed: healingCandidate };
+}
+
+/**
+ * Send REPLAY_STEP until a frame answers or the step times out
+ * The content script answers within the timeout it is given; a page that stops responding is given up on
+ */
+async function sendReplayStep(tabId, action, heal) {
+  const deadline = Date.now() + REPLAY_STEP_TIMEOUT;
+  let lastError = 'Frame not found';
+  
+  while (Date.now() < deadline && !replayStopRequested) {
+    await waitForTabComplete(tabId, deadline);
+    
+    try {
+      // Content script guards against double injection
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId, allFrames: true },
+        files: ['content.js']
+      });
+      
+      const timeout = Math.max(deadline - Date.now(), 0);
+      const response = await Promise.race([
+        chrome.tabs.sendMessage(tabId, { type: 'REPLAY_STEP', action, timeout, heal }),
+        delay(timeout + REPLAY_RESPONSE_GRACE).then(() => {
+          throw new Error('The page did not respond');
+        })
+      ]);
+      
+      if (response) return response;
+    } catch (e) {
+      // Page may be navigating or the target frame not loaded yet
+      lastError = e.message || lastError;
+    }
+    
+    await delay(250);
+  }
+  
+  return { success: false, error: replayStopRequested ? 'Replay stopped' : lastError };
+}
+
+/**
+ * Show the healing prompt in the frame that offered a candidate and wait for the user's answer
+ * The answer is polled rather than awaited in one long message, so the worker stays busy
+ * (and alive) while the user decides. Unanswered prompts count as rejected
+ */
+async function confirmHealingCandidate(tabId) {
+  const deadline = Date.now() + HEALING_CONFIRM_TIMEOUT;
+  
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'SHOW_HEALING_PROMPT' });
+    
+    while (Date.now() < deadline && !replayStopRequested) {
+      await delay(HEALING_POLL_INTERVAL);
+      const answer = await chrome.tabs.sendMessage(tabId, { type: 'GET_HEALING_ANSWER' });
+      if (!answer) return false;
+      if (answer.accepted !== null) return answer.accepted;
+    }
+  } catch (e) {
+    // The page navigated away with the prompt
+    return false;
+  }
+  
+  chrome.tabs.sendMessage(tabId, { type: 'CANCEL_HEALING_PROMPT' }).catch(() => {});
+  return false;
+}
+
+/**
+ * Run a wait or navigation step, which needs no content script
+ * Navigations the page made itself were triggered by the previous step, so they are only waited for
+ */
+async function replayBrowserStep(tabId, action) {
+  const deadline = Date.now() + REPLAY_STEP_TIMEOUT;
+  
+  try {
+    if (action.type === 'wait') {
+      await delay(action.duration || 0);
+      return { success: true };
+    }
+    
+    if (action.type === 'navigate' && PAGE_NAVIGATION_TRIGGERS.includes(action.trigger)) {
+      const reached = await waitForTabUrl(tabId, action.url, deadline);
+      if (!reached) return { success: false, error: `Page did not navigate to ${action.url}` };
+    } else if (action.type === 'navigate') {
+      await chrome.tabs.update(tabId, { url: action.url });
+    } else if (action.type === 'reload') {
+      await chrome.tabs.reload(tabId);
+    } else if (action.type === 'back') {
+      await chrome.tabs.goBack(tabId);
+    } else if (action.type === 'forward') {
+      await chrome.tabs.goForward(tabId);
+    }
+    
+    await delay(REPLAY_STEP_DELAY);
+    await waitForTabComplete(tabId, deadline);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Make a recorded tab current again, or find the tab its opener just opened
+ */
+async function replaySwitchTab(action, replayTabs) {
+  const deadline = Date.now() + REPLAY_STEP_TIMEOUT;
+  
+  while (Date.now() < deadline && !replayStopRequested) {
+    const known = replayTabs[action.pageId];
+    if (known) {
+      try {
+        await chrome.tabs.update(known, { active: true });
+        return { success: true };
+      } catch (e) {
+        return { success: false, error: `Tab ${action.pageId} was closed` };
+      }
+    }
+    
+    const openerTabId = replayTabs[action.openerPageId || 'tab1'];
+    const tabs = await chrome.tabs.query({});
+    const opened = tabs.find(t => t.openerTabId === openerTabId && !Object.values(replayTabs).includes(t.id));
+    if (opened) {
+      replayTabs[action.pageId] = opened.id;
+      continue;
+    }
+    
+    await delay(250);
+  }
+  
+  return { success: false, error: replayStopRequested ? 'Replay stopped' : `Tab ${action.pageId} did not open` };
+}
+
+/**
+ * Close every tab the replay opened besides the one it runs in
+ */
+async function closeReplayPopups(tabId) {
+  const popups = [...replayTabIds].filter(id => id !== tabId);
+  replayTabIds = new Set([tabId]);
+  await Promise.all(popups.map(id => chrome.tabs.remove(id).catch(() => {})));
+}
+
+/**
+ * Substitute a data row's value into a parameter-bound action
+ */
+function applyDataRow(action, dataRow) {
+  if (!dataRow || !action.parameter || !(action.parameter in dataRow)) return action;
+  return { ...action, value: dataRow[action.parameter] };
+}
+
+/**
+ * Swap {{secret.<name>}} placeholders for the values entered in the side panel
+ */
+function applySecrets(action, secrets) {
+  const resolved = { ...action };
+  for (const field of ['value', 'expectedValue', 'textContent']) {
+    const name = /^\{\{secret\.(\w+)\}\}$/.exec(action[field] ?? '')?.[1];
+    if (name && name in secrets) resolved[field] = secrets[name];
+  }
+  return resolved;
+}
+
+async function waitForTabComplete(tabId, deadline) {
+  while (Date.now() < deadline) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status === 'complete') return;
+    } catch (e) {
+      return;
+    }
+    await delay(100);
+  }
+}
+
+/**
+ * Wait until the tab shows the URL (ignoring query and hash, which often carry per-session tokens)
+ * Per-run path segments such as the 8472 in /orders/8472 match any segment, as in the exported waits
+ */
+async function waitForTabUrl(tabId, url, deadline) {
+  const expected = new RegExp('^' + url.split(/[?#]/)[0].split('/')
+    .map(segment => (isDynamicPathSegment(segment) ? '[^/?#]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/'));
+  
+  while (Date.now() < deadline && !replayStopRequested) {
+    const tab = await chrome.tabs.get(tabId);
+    if (expected.test(tab.pendingUrl || tab.url || '')) return true;
+    await delay(100);
+  }
+  return false;
+}
+
+// Path segments that change from run to run: numeric ids, UUIDs and long tokens containing digits (as in export.js)
+function isDynamicPathSegment(segment) {
+  return /^\d+$/.test(segment) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+    (segment.length >= 8 && /\d/.test(segment) && /^[\w-]+$/.test(segment));
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ==================== NAVIGATION STEPS ====================
+
+// Transitions where the user asked for the page directly (address bar, bookmark, omnibox search)
+const ADDRESS_BAR_TRANSITIONS = ['typed', 'auto_bookmark', 'generated', 'keyword', 'keyword_generated', 'start_page'];
+
+// Navigate triggers that come from the page itself, usually a click recorded just before
+const PAGE_NAVIGATION_TRIGGERS = ['link', 'form', 'redirect'];
+
+const NAVIGATION_DESCRIPTIONS = {
+  reload: 'Reload page',
+  back: 'Go back',
+  forward: 'Go forward'
+};
+
+/**
+ * Record a committed top-frame navigation in a recorded tab as a navigate, reload, back or forward step
+ */
+async function recordNavigation(details) {
+  const entry = recordedTabs[details.tabId];
+  if (!/^(https?|file):/.test(details.url)) return;
+  
+  // History is tracked while paused too, so back/forward stay correct afterwards
+  const { type, trigger } = classifyNavigation(entry, details);
+  persistRecordingState();
+  if (isPaused) return;
+  
+  let tab;
+  try {
+    tab = await chrome.tabs.get(details.tabId);
+  } catch (e) {
+    return;
+  }
+  
+  recordTabSwitch(tab);
+  appendAction({
+    type,
+    trigger,
+    url: details.url,
+    description: NAVIGATION_DESCRIPTIONS[type] ||
+      (trigger === 'address-bar' ? `Go to ${details.url}` : `Page navigated to ${details.url}`),
+    timestamp: Date.now(),
+    tabId: details.tabId,
+    pageId: entry.pageId,
+    step: currentStep
+  });
+  
+  console.log('[Background] Navigation recorded:', type, trigger, details.url);
+}
+
+/**
+ * Work out the step type from transitionType and qualifiers, keeping a per-tab history
+ * (forward_back does not say which direction, so the history decides)
+ */
+function classifyNavigation(entry, details) {
+  const qualifiers = details.transitionQualifiers || [];
+  const history = entry.history || [];
+  const index = entry.historyIndex ?? history.length - 1;
+  
+  if (details.transitionType === 'reload') {
+    return { type: 'reload', trigger: 'browser' };
+  }
+  
+  if (qualifiers.includes('forward_back')) {
+    if (history[index + 1] === details.url) {
+      entry.historyIndex = index + 1;
+      return { type: 'forward', trigger: 'browser' };
+    }
+    entry.historyIndex = Math.max(index - 1, 0);
+    return { type: 'back', trigger: 'browser' };
+  }
+  
+  entry.history = [...history.slice(0, index + 1), details.url];
+  entry.historyIndex = entry.history.length - 1;
+  
+  if (qualifiers.includes('from_address_bar') || ADDRESS_BAR_TRANSITIONS.includes(details.transitionType)) {
+    return { type: 'navigate', trigger: 'address-bar' };
+  }
+  if (qualifiers.includes('client_redirect') || qualifiers.includes('server_redirect')) {
+    return { type: 'navigate', trigger: 'redirect' };
+  }
+  return { type: 'navigate', trigger: details.transitionType === 'form_submit' ? 'form' : 'link' };
+}
+
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  await stateRestored;
+  if (isRecording && details.frameId === 0 && recordedTabs[details.tabId]) {
+    await recordNavigation(details);
+  }
+});
+
 // ==================== DYNAMIC FRAME HANDLING ====================
 
 // Handle new frames being loaded during recording
 chrome.webNavigation.onCompleted.addListener(async (details) => {
-  if (isRecording && details.tabId === activeTabId) {
+  await stateRestored;
+  if (isRecording && recordedTabs[details.tabId]) {
     try {
       await chrome.scripting.executeScript({
         target: { tabId: details.tabId, frameIds: [details.frameId] },
         files: ['content.js']
       });
-      await chrome.tabs.sendMessage(details.tabId, { type: 'START_RECORDING' }, { frameId: details.frameId });
+      await chrome.tabs.sendMessage(details.tabId, { type: 'START_RECORDING', paused: isPaused }, { frameId: details.frameId });
     } catch (e) {
       // Frame might not be accessible
     }
@@ -197,17 +1678,29 @@ chrome.webNavigation.onCompleted.addListener(async (details) => {
 
 // Handle tab navigation during recording
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (isRecording && tabId === activeTabId && changeInfo.status === 'complete') {
+  await stateRestored;
+  if (isRecording && recordedTabs[tabId] && changeInfo.status === 'complete') {
     try {
       await chrome.scripting.executeScript({
         target: { tabId: tabId, allFrames: true },
         files: ['content.js']
       });
-      await chrome.tabs.sendMessage(tabId, { type: 'START_RECORDING' });
+      await chrome.tabs.sendMessage(tabId, { type: 'START_RECORDING', paused: isPaused });
     } catch (e) {
       // Tab might not be accessible
     }
   }
 });
 
+// Follow links, window.open calls and OAuth popups out of recorded tabs
+chrome.webNavigation.onCreatedNavigationTarget.addListener(async (details) => {
+  await stateRestored;
+  adoptTab(details.tabId, details.sourceTabId);
+});
+
+chrome.tabs.onCreated.addListener(async (tab) => {
+  await stateRestored;
+  if (tab.openerTabId !== undefined) adoptTab(tab.id, tab.openerTabId);
+});
+
 console.log('[Background] Service worker initialized');
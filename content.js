@@ -10,8 +10,10 @@
   
   // ==================== STATE ====================
   let isRecording = false;
+  let isPaused = false;
   let isAssertionMode = false;
   let assertionType = 'element';
+  let assertionOptions = {};
   let pendingInput = null;
   let shadowObservers = [];
   let frameIdentifier = null;
@@ -20,11 +22,167 @@
   
   console.log('[Recorder] Content script loaded:', isMainFrame ? 'MAIN' : 'IFRAME', window.location.href.substring(0, 50));
   
+  // ==================== LOCATOR RULES ====================
+  
+  // Attributes dedicated to test automation, in order of preference
+  const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-cy', 'data-test', 'data-automation-id', 'data-e2e'];
+  
+  // Framework-generated IDs that change between renders
+  const DYNAMIC_ID_PATTERN = /^(ember|react|ng-|:|[0-9])/;
+  
+  // Build-generated class names (CSS modules, styled-components, emotion, hashes)
+  const DYNAMIC_CLASS_PATTERN = /^(css|sc|jsx|emotion|styled)-|__[\w-]*_{1,3}[a-z0-9]{5}|[a-f0-9]{6,}|\d{3,}/i;
+  
+  // Values that look generated (long digit runs or hashes) are unlikely to survive a deploy
+  const DYNAMIC_VALUE_PATTERN = /\d{4,}|[a-f0-9]{10,}/i;
+  
+  // Base stability score (0-100) per strategy, adjusted in scoreLocator()
+  const LOCATOR_BASE_SCORES = {
+    testId: 100,
+    role: 85,
+    css: 75,
+    text: 65,
+    xpath: 50,
+    fullXPath: 10
+  };
+  
+  // Project rules from the Settings tab, applied on top of the built-in defaults above.
+  // The side panel stores the selected suite's rules in chrome.storage.local before recording.
+  let locatorRules = {
+    preferredAttributes: [],
+    ignoredAttributes: [],
+    dynamicIdPatterns: [],
+    avoidClassPatterns: []
+  };
+  
+  async function loadLocatorRules() {
+    try {
+      const { activeLocatorRules } = await chrome.storage.local.get('activeLocatorRules');
+      applyLocatorRules(activeLocatorRules);
+    } catch (e) {
+      console.warn('[Recorder] Could not load locator rules:', e);
+    }
+  }
+  
+  function applyLocatorRules(rules) {
+    locatorRules = {
+      preferredAttributes: rules?.preferredAttributes || [],
+      ignoredAttributes: rules?.ignoredAttributes || [],
+      dynamicIdPatterns: compilePatterns(rules?.dynamicIdPatterns),
+      avoidClassPatterns: compilePatterns(rules?.avoidClassPatterns)
+    };
+  }
+  
+  function compilePatterns(patterns, flags) {
+    return (patterns || []).flatMap(pattern => {
+      try {
+        return [new RegExp(pattern, flags)];
+      } catch (e) {
+        console.warn('[Recorder] Invalid rule pattern:', pattern);
+        return [];
+      }
+    });
+  }
+  
+  /**
+   * Test-id attributes to try, project-preferred ones first
+   */
+  function getTestIdAttributes() {
+    return [...new Set([...locatorRules.preferredAttributes, ...TEST_ID_ATTRIBUTES])]
+      .filter(attribute => !isIgnoredAttribute(attribute));
+  }
+  
+  function isIgnoredAttribute(attribute) {
+    return locatorRules.ignoredAttributes.includes(attribute);
+  }
+  
+  /**
+   * Whether an element's id can anchor a locator
+   */
+  function isStableId(id) {
+    if (!id || isIgnoredAttribute('id')) return false;
+    return !DYNAMIC_ID_PATTERN.test(id) && !locatorRules.dynamicIdPatterns.some(p => p.test(id));
+  }
+  
+  function isStableClass(className) {
+    if (isIgnoredAttribute('class')) return false;
+    return !DYNAMIC_CLASS_PATTERN.test(className) && !locatorRules.avoidClassPatterns.some(p => p.test(className));
+  }
+  
+  loadLocatorRules();
+  
+  // Recording options from the Settings tab (chrome.storage.local.recordingOptions)
+  let recordingOptions = { storeUploadFixtures: true, captureScreenshots: false };
+  
+  async function loadRecordingOptions() {
+    try {
+      const stored = await chrome.storage.local.get('recordingOptions');
+      recordingOptions = { ...recordingOptions, ...stored.recordingOptions };
+    } catch (e) {
+      console.warn('[Recorder] Could not load recording options:', e);
+    }
+  }
+  
+  loadRecordingOptions();
+  
+  // Sensitive-data masking policy from the Settings tab (chrome.storage.local.maskingPolicy).
+  // The side panel stores its defaults on first use; until then only password fields are masked.
+  let maskingPolicy = compileMaskingPolicy({ inputTypes: ['password'] });
+  
+  async function loadMaskingPolicy() {
+    try {
+      const stored = await chrome.storage.local.get('maskingPolicy');
+      if (stored.maskingPolicy) maskingPolicy = compileMaskingPolicy(stored.maskingPolicy);
+    } catch (e) {
+      console.warn('[Recorder] Could not load masking policy:', e);
+    }
+  }
+  
+  function compileMaskingPolicy(policy) {
+    return {
+      inputTypes: (policy?.inputTypes || []).map(type => type.toLowerCase()),
+      autocomplete: (policy?.autocomplete || []).map(token => token.toLowerCase()),
+      namePatterns: compilePatterns(policy?.namePatterns, 'i'),
+      valuePatterns: compilePatterns(policy?.valuePatterns),
+      selectors: policy?.selectors || []
+    };
+  }
+  
+  loadMaskingPolicy();
+  
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.activeLocatorRules) {
+      applyLocatorRules(changes.activeLocatorRules.newValue);
+    }
+    if (changes.recordingOptions) {
+      recordingOptions = { ...recordingOptions, ...changes.recordingOptions.newValue };
+    }
+    if (changes.maskingPolicy?.newValue) {
+      maskingPolicy = compileMaskingPolicy(changes.maskingPolicy.newValue);
+    }
+  });
+  
+  // Elements that can carry an implicit ARIA role, used to count role+name matches
+  const ROLE_CANDIDATES = {
+    button: 'button, input[type="button"], input[type="submit"], input[type="reset"], input[type="image"], [role="button"]',
+    link: 'a[href], area[href], [role="link"]',
+    textbox: 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="url"], textarea, [role="textbox"]',
+    searchbox: 'input[type="search"], [role="searchbox"]',
+    checkbox: 'input[type="checkbox"], [role="checkbox"]',
+    radio: 'input[type="radio"], [role="radio"]',
+    combobox: 'select, [role="combobox"]',
+    listbox: 'select, [role="listbox"]',
+    heading: 'h1, h2, h3, h4, h5, h6, [role="heading"]',
+    img: 'img[alt], [role="img"]'
+  };
+  
   // ==================== XPATH GENERATION ====================
   
   /**
    * Generate the best XPath for an element
    * Prioritizes: ID > test attributes > name > aria-label > text > relative path
+   * Skips attributes, IDs and patterns excluded by the project's locator rules
    */
   function generateXPath(element) {
     if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
@@ -32,14 +190,13 @@
     const tag = element.tagName.toLowerCase();
     
     // 1. ID (if stable - not framework-generated)
-    if (element.id && !element.id.match(/^(ember|react|ng-|:|[0-9])/)) {
+    if (isStableId(element.id)) {
       const xpath = `//${tag}[@id="${element.id}"]`;
       if (isUniqueXPath(xpath, element)) return xpath;
     }
     
     // 2. Test attributes
-    const testAttrs = ['data-testid', 'data-test-id', 'data-cy', 'data-test', 'data-automation-id', 'data-e2e'];
-    for (const attr of testAttrs) {
+    for (const attr of getTestIdAttributes()) {
       const value = element.getAttribute(attr);
       if (value) {
         const xpath = `//${tag}[@${attr}="${value}"]`;
@@ -48,14 +205,14 @@
     }
     
     // 3. Name attribute
-    if (element.name) {
+    if (element.name && !isIgnoredAttribute('name')) {
       const xpath = `//${tag}[@name="${element.name}"]`;
       if (isUniqueXPath(xpath, element)) return xpath;
     }
     
     // 4. Aria-label
     const ariaLabel = element.getAttribute('aria-label');
-    if (ariaLabel && ariaLabel.length < 50) {
+    if (ariaLabel && ariaLabel.length < 50 && !isIgnoredAttribute('aria-label')) {
       const xpath = `//${tag}[@aria-label="${escapeXPathString(ariaLabel)}"]`;
       if (isUniqueXPath(xpath, element)) return xpath;
     }
@@ -70,7 +227,7 @@
     }
     
     // 6. Placeholder for inputs
-    if (element.placeholder) {
+    if (element.placeholder && !isIgnoredAttribute('placeholder')) {
       const xpath = `//${tag}[@placeholder="${escapeXPathString(element.placeholder)}"]`;
       if (isUniqueXPath(xpath, element)) return xpath;
     }
@@ -91,7 +248,7 @@
       let part = tag;
       
       // If ancestor has ID, use as anchor
-      if (current.id && current !== element && !current.id.match(/^(ember|react|ng-|:|[0-9])/)) {
+      if (current !== element && isStableId(current.id)) {
         parts.unshift(`//${tag}[@id="${current.id}"]`);
         return parts.join('/');
       }
@@ -164,6 +321,268 @@
     return str.replace(/'/g, "\\'");
   }
   
+  // ==================== LOCATOR STRATEGIES ====================
+  
+  /**
+   * Generate every locator strategy for an element, ranked best first
+   * Each entry: { strategy, value, unique, score } plus strategy-specific fields
+   * (attribute for testId, role/name for role, tag/text for text)
+   */
+  function generateLocators(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return [];
+    
+    const root = element.getRootNode();
+    const inShadow = root instanceof ShadowRoot;
+    const locators = [];
+    
+    const testId = buildTestIdLocator(element, root);
+    if (testId) locators.push(testId);
+    
+    const role = buildRoleLocator(element, root);
+    if (role) locators.push(role);
+    
+    const css = buildCssLocator(element, root);
+    if (css) locators.push(css);
+    
+    const text = buildTextLocator(element, root);
+    if (text) locators.push(text);
+    
+    // XPath cannot be evaluated inside a shadow root; the shadow path covers those elements
+    if (!inShadow) {
+      const xpath = generateXPath(element);
+      if (xpath) {
+        const anchored = !/^\/\/[a-z][\w-]*(\[\d+\])?\//i.test(xpath);
+        locators.push(scoreLocator({ strategy: 'xpath', value: xpath, unique: isUniqueXPath(xpath, element) }, anchored ? 10 : -20));
+      }
+      locators.push(scoreLocator({ strategy: 'fullXPath', value: generateFullXPath(element), unique: true }, 0));
+    }
+    
+    return locators.sort((a, b) => (b.unique - a.unique) || (b.score - a.score));
+  }
+  
+  /**
+   * Apply the base score for the strategy, an adjustment, and penalties
+   * for generated-looking values and ambiguous matches
+   */
+  function scoreLocator(locator, adjustment) {
+    let score = LOCATOR_BASE_SCORES[locator.strategy] + adjustment;
+    if (DYNAMIC_VALUE_PATTERN.test(locator.value)) score -= 30;
+    if (!locator.unique) score -= 50;
+    locator.score = Math.max(0, Math.min(100, score));
+    return locator;
+  }
+  
+  function buildTestIdLocator(element, root) {
+    for (const attribute of getTestIdAttributes()) {
+      const testId = element.getAttribute(attribute);
+      if (!testId) continue;
+      
+      const value = cssAttribute(attribute, testId);
+      return scoreLocator({ strategy: 'testId', value, attribute, testId, unique: isUniqueCss(value, element, root) }, 0);
+    }
+    return null;
+  }
+  
+  function buildRoleLocator(element, root) {
+    const role = getElementRole(element);
+    const name = getAccessibleName(element);
+    if (!role || !name || name.length > 80) return null;
+    
+    let candidates;
+    try {
+      candidates = root.querySelectorAll(ROLE_CANDIDATES[role] || `[role="${CSS.escape(role)}"]`);
+    } catch (e) {
+      return null;
+    }
+    const matches = Array.from(candidates).filter(c => getElementRole(c) === role && getAccessibleName(c) === name);
+    const unique = matches.length === 1 && matches[0] === element;
+    
+    return scoreLocator({ strategy: 'role', value: `role=${role}[name=${JSON.stringify(name)}]`, role, name, unique }, 0);
+  }
+  
+  /**
+   * Shortest unique CSS selector: stable id, identifying attributes,
+   * stable class names, then a child path from the nearest stable-id ancestor
+   */
+  function buildCssLocator(element, root) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+    
+    if (isStableId(element.id)) {
+      candidates.push({ value: `#${CSS.escape(element.id)}`, adjustment: 15 });
+    }
+    
+    for (const attribute of ['name', 'aria-label', 'placeholder', 'title', 'alt'].filter(a => !isIgnoredAttribute(a))) {
+      const value = element.getAttribute(attribute);
+      if (value && value.length < 60) {
+        candidates.push({ value: `${tag}${cssAttribute(attribute, value)}`, adjustment: 5 });
+      }
+    }
+    
+    const classes = Array.from(element.classList).filter(isStableClass).slice(0, 2);
+    if (classes.length > 0) {
+      candidates.push({ value: tag + classes.map(c => `.${CSS.escape(c)}`).join(''), adjustment: -30 });
+    }
+    
+    for (const candidate of candidates) {
+      if (isUniqueCss(candidate.value, element, root)) {
+        return scoreLocator({ strategy: 'css', value: candidate.value, unique: true }, candidate.adjustment);
+      }
+    }
+    
+    const path = buildCssPath(element);
+    return scoreLocator({ strategy: 'css', value: path, unique: isUniqueCss(path, element, root) }, -40);
+  }
+  
+  /**
+   * Child-combinator path with :nth-of-type, anchored on the nearest stable-id ancestor
+   */
+  function buildCssPath(element) {
+    const parts = [];
+    let current = element;
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current !== element && isStableId(current.id)) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentNode;
+      if (parent && parent.children) {
+        const siblings = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+        if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+      }
+      parts.unshift(part);
+      
+      if (!(parent instanceof Element)) break;
+      current = parent;
+    }
+    
+    return parts.join(' > ');
+  }
+  
+  /**
+   * Exact visible text for short-labelled elements (buttons, links, labels, cells...)
+   * Unique when no other innermost element has the same text
+   */
+  function buildTextLocator(element, root) {
+    const text = normalizeText(element.textContent);
+    if (!text || text.length > 50 || element.children.length > 3) return null;
+    if (['INPUT', 'TEXTAREA', 'SELECT', 'OPTION', 'HTML', 'BODY'].includes(element.tagName)) return null;
+    
+    const matches = findTextMatches(text, root, 2);
+    const unique = matches.length === 1 && matches[0] === element;
+    
+    return scoreLocator({ strategy: 'text', value: text, tag: element.tagName.toLowerCase(), text, unique }, 0);
+  }
+  
+  /**
+   * Innermost elements whose whole text is `text`, stopping after `limit` of them
+   * Only text nodes that are a piece of the text are followed up to their ancestors,
+   * so the rest of the page is never measured
+   */
+  function findTextMatches(text, root, limit) {
+    const hasText = (el) => {
+      const raw = el.textContent || '';
+      return raw.length >= text.length && raw.length < text.length + 200 && normalizeText(raw) === text;
+    };
+    
+    const matches = [];
+    const checked = new Set();
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    
+    for (let node = walker.nextNode(); node && matches.length < limit; node = walker.nextNode()) {
+      const piece = normalizeText(node.data);
+      if (!piece || !text.includes(piece)) continue;
+      
+      for (let el = node.parentElement; el && !checked.has(el); el = el.parentElement) {
+        checked.add(el);
+        if (hasText(el)) {
+          if (!Array.from(el.children).some(hasText)) matches.push(el);
+          break;
+        }
+        if ((el.textContent || '').length >= text.length + 200) break;
+      }
+    }
+    
+    return matches;
+  }
+  
+  /**
+   * Explicit role attribute, or the implicit ARIA role of common elements
+   */
+  function getElementRole(element) {
+    const explicit = element.getAttribute('role');
+    if (explicit) return explicit.split(/\s+/)[0];
+    
+    const tag = element.tagName;
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    
+    if (tag === 'BUTTON') return 'button';
+    if ((tag === 'A' || tag === 'AREA') && element.hasAttribute('href')) return 'link';
+    if (tag === 'TEXTAREA') return 'textbox';
+    if (tag === 'SELECT') return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    if (/^H[1-6]$/.test(tag)) return 'heading';
+    if (tag === 'IMG' && element.getAttribute('alt')) return 'img';
+    if (tag === 'INPUT') {
+      if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+      if (type === 'checkbox' || type === 'radio') return type;
+      if (type === 'search') return 'searchbox';
+      if (['text', 'email', 'tel', 'url'].includes(type)) return 'textbox';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Simplified accessible name: aria-labelledby, aria-label, <label>,
+   * content (buttons, links, headings), then alt/title/placeholder
+   */
+  function getAccessibleName(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = element.getRootNode();
+      const text = labelledBy.split(/\s+/)
+        .map(id => root.getElementById?.(id)?.textContent || '')
+        .join(' ');
+      if (normalizeText(text)) return normalizeText(text);
+    }
+    
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return normalizeText(ariaLabel);
+    
+    if (element.labels && element.labels.length > 0) {
+      const text = Array.from(element.labels).map(label => label.textContent).join(' ');
+      if (normalizeText(text)) return normalizeText(text);
+    }
+    
+    const role = getElementRole(element);
+    if (['button', 'link', 'heading', 'checkbox', 'radio', 'tab', 'menuitem', 'option'].includes(role)) {
+      const text = element.tagName === 'INPUT' ? element.value : element.textContent;
+      if (normalizeText(text)) return normalizeText(text);
+    }
+    
+    return normalizeText(element.getAttribute('alt') || element.getAttribute('title') || element.getAttribute('placeholder') || '');
+  }
+  
+  function isUniqueCss(selector, targetElement, root) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === targetElement;
+    } catch {
+      return false;
+    }
+  }
+  
+  function cssAttribute(name, value) {
+    return `[${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`;
+  }
+  
+  function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+  
   // ==================== IFRAME DETECTION ====================
 
   /**
@@ -405,7 +824,7 @@
     while (current && current !== shadowRoot && current.nodeType === Node.ELEMENT_NODE) {
       let part = current.tagName.toLowerCase();
       
-      if (current.id) {
+      if (isStableId(current.id)) {
         parts.unshift(`*[@id="${current.id}"]`);
         break;
       }
@@ -479,7 +898,7 @@
       className: typeof element.className === 'string' ? element.className : null,
       text: (element.textContent || '').trim().slice(0, 100) || null,
       placeholder: element.placeholder || null,
-      value: value,
+      value: maskSensitiveValue(element, value),
       href: element.href || null,
       role: element.getAttribute('role') || null,
       ariaLabel: element.getAttribute('aria-label') || null,
@@ -528,8 +947,7 @@
         return target;
       
       case 'input':
-        const masked = element.type === 'password' ? '****' : value;
-        return `"${masked}" on ${target}`;
+        return `"${value}" on ${target}`;
       
       case 'select':
         return `"${value}" from ${target}`;
@@ -538,10 +956,33 @@
         return data.checked ? `Checked ${target}` : `Unchecked ${target}`;
       
       case 'keypress':
-        return `${data.key} on ${target}`;
+        return `${[...(data.modifiers || []), data.key].join('+')} on ${target}`;
+      
+      case 'dblclick':
+        return `Double-click ${target}`;
+      
+      case 'contextmenu':
+        return `Right-click ${target}`;
+      
+      case 'hover':
+        return `Hover ${target}`;
+      
+      case 'drag':
+        return `Drag ${target} onto ${data.target?.description || 'target'}`;
+      
+      case 'upload':
+        return `Upload ${(data.files || []).map(f => f.name).join(', ')} to ${target}`;
+      
+      case 'scroll':
+        return element === document.scrollingElement
+          ? `Scroll page to ${data.scrollY}px`
+          : `Scroll ${target} to ${data.scrollY}px`;
       
       case 'assertion':
-        return `${target}`;
+        return describeAssertion(target, data);
+      
+      case 'capture':
+        return `Capture {{${data.variable}}} from ${target}`;
       
       default:
         return target;
@@ -554,7 +995,7 @@
   let lastActionTime = 0;
   
   function recordAction(type, element, data = {}) {
-    if (!isRecording || !element) return;
+    if (!isRecording || isPaused || !element) return;
     
     // Skip recorder UI elements
     try {
@@ -573,16 +1014,24 @@
       const now = Date.now();
       
       // Deduplicate rapid identical actions
-      if (lastAction && lastAction.type === type && lastAction.xpath === xpath && (now - lastActionTime) < 300) {
+      // (repeated key presses are real, e.g. arrowing through a list)
+      if (type !== 'keypress' && lastAction && lastAction.type === type && lastAction.xpath === xpath && (now - lastActionTime) < 300) {
         return;
       }
       
+      // Sensitive values never leave the page; they are recorded as named secrets
+      if (data.value) {
+        const value = maskSensitiveValue(element, data.value);
+        if (value !== data.value) data = { ...data, value, ...(data.text ? { text: value } : {}) };
+      }
+      
       const frameInfo = getFrameElementInfo();
 
       const action = {
         type: type,
         xpath: xpath,
         fullXPath: generateFullXPath(element),
+        locators: generateLocators(element),
         element: getElementInfo(element),
         iframe: getIframePath(),
         frameIndex: getFrameIndex(),
@@ -594,7 +1043,7 @@
 
       // If this is an input/change on shadow-hosted element and value missing, extract via shadow helper
       if ((type === 'input' || type === 'change') && !action.value) {
-        action.value = getShadowTextContent(element);
+        action.value = maskSensitiveValue(getShadowInnerElement(element), getShadowTextContent(element));
       }
       
       lastAction = { type, xpath };
@@ -604,30 +1053,202 @@
       if (action.iframe) console.log('[Recorder] Iframe path:', action.iframe);
       if (action.shadow) console.log('[Recorder] Shadow path:', action.shadow);
       
-      chrome.runtime.sendMessage({
-        type: 'ACTION_RECORDED',
-        action: action
-      }).catch(err => {
-        console.error('[Recorder] Send error:', err);
-      });
+      sendRecordedAction(action, element);
       
     } catch (err) {
       console.error('[Recorder] Error recording action:', err);
     }
   }
   
+  /**
+   * Hand a captured step to the background, then flash it on the page.
+   * With step screenshots on, the overlay stays hidden until the background has captured the tab.
+   */
+  async function sendRecordedAction(action, element) {
+    const waits = collectStepWaits(element);
+    if (waits.length > 0) action.waitFor = waits;
+    
+    // Fields holding masked values are blacked out of the screenshot; when their position can't
+    // be read (cross-origin frames) the step gets no screenshot at all
+    const redactRects = recordingOptions.captureScreenshots ? getSensitiveFieldRects(element) : null;
+    if (redactRects) {
+      action.screenshotRect = getTopViewportRect(element);
+      action.redactRects = redactRects;
+      if (overlay) overlay.host.style.visibility = 'hidden';
+    }
+    
+    try {
+      await chrome.runtime.sendMessage({ type: 'ACTION_RECORDED', action: action });
+    } catch (err) {
+      console.error('[Recorder] Send error:', err);
+    }
+    
+    if (overlay) overlay.host.style.visibility = '';
+    flashCapture(element, action);
+  }
+  
+  /**
+   * Top-viewport rects of the visible fields in this frame, the step's element included,
+   * whose current values the masking policy hides; null when one of them can't be placed
+   */
+  function getSensitiveFieldRects(element) {
+    const fields = [...document.querySelectorAll('input, textarea, select')];
+    if (element && 'value' in element && !fields.includes(element)) fields.push(element);
+    
+    const rects = [];
+    for (const field of fields) {
+      if (!field.value || !getSecretName(field, field.value) || !isElementVisible(field)) continue;
+      const rect = getTopViewportRect(field);
+      if (!rect) return null;
+      rects.push(rect);
+    }
+    return rects;
+  }
+  
+  /**
+   * The element's rect in the top-level viewport, which is what captureVisibleTab sees.
+   * Null inside a cross-origin frame, whose position in the page can't be read.
+   */
+  function getTopViewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    let x = rect.left;
+    let y = rect.top;
+    
+    try {
+      let win = window;
+      while (win !== win.top) {
+        const frame = win.frameElement;
+        if (!frame) return null;
+        const frameRect = frame.getBoundingClientRect();
+        x += frameRect.left + frame.clientLeft;
+        y += frameRect.top + frame.clientTop;
+        win = win.parent;
+      }
+    } catch (e) {
+      return null;
+    }
+    
+    return { x, y, width: rect.width, height: rect.height };
+  }
+  
+  /**
+   * Record the files picked in a file input. With fixture storage on, each file's
+   * contents travel along as a data URL; the background moves them into IndexedDB.
+   */
+  async function recordUpload(element) {
+    const files = await Promise.all(Array.from(element.files || []).map(readUploadedFile));
+    recordAction('upload', element, { files });
+  }
+  
+  function readUploadedFile(file) {
+    const info = { name: file.name, size: file.size, type: file.type || 'application/octet-stream' };
+    if (!recordingOptions.storeUploadFixtures || file.size > MAX_FIXTURE_SIZE) {
+      return Promise.resolve(info);
+    }
+    
+    return new Promise(resolve => {
+      const reader = new FileReader();
+      reader.onload = () => resolve({ ...info, data: reader.result });
+      reader.onerror = () => {
+        console.warn('[Recorder] Could not read uploaded file:', file.name);
+        resolve(info);
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+  
   function flushPendingInput() {
     if (pendingInput) {
       const element = pendingInput.element;
-      let value = getElementValue(element);
-      
-      if (element.type === 'password') value = '****';
+      const value = getElementValue(element);
       
+      // recordAction masks the value if the masking policy matches the field
       recordAction('input', element, { value: value || '' });
       pendingInput = null;
     }
   }
   
+  // ==================== SENSITIVE DATA ====================
+  
+  /**
+   * The value to record for a field: a {{secret.<name>}} placeholder when the masking policy matches
+   */
+  function maskSensitiveValue(element, value) {
+    if (!value) return value;
+    const secret = getSecretName(element, value);
+    return secret ? `{{secret.${secret}}}` : value;
+  }
+  
+  /**
+   * Name of the secret a field's value is recorded as, or null when the value can be kept.
+   * The field matches by CSS selector, input type, autocomplete token or name/id; any field matches by value.
+   */
+  function getSecretName(element, value) {
+    if (!element?.getAttribute) return null;
+    
+    const policy = maskingPolicy;
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const fieldNames = [element.getAttribute('name'), element.id].filter(Boolean);
+    const type = String(element.type || '').toLowerCase();
+    
+    const fieldMatches = policy.selectors.some(selector => {
+      try {
+        return element.matches(selector);
+      } catch (e) {
+        return false;
+      }
+    }) ||
+      policy.inputTypes.includes(type) ||
+      autocomplete.some(token => policy.autocomplete.includes(token)) ||
+      fieldNames.some(name => policy.namePatterns.some(pattern => pattern.test(name)));
+    const valueMatches = !fieldMatches && policy.valuePatterns.some(pattern => pattern.test(String(value)));
+    if (!fieldMatches && !valueMatches) return null;
+    
+    // Named after the field so the same field always maps to the same secret
+    const sensitiveToken = autocomplete.find(token => policy.autocomplete.includes(token));
+    return toSecretName(fieldNames[0] || sensitiveToken || type || 'value');
+  }
+  
+  /**
+   * Mask a captured response body with the same policy. In JSON, string and number values under a
+   * key matching the name patterns, or matching a value pattern, become {{secret.<key>}}.
+   * Bodies that are not JSON (or were cut short) get the same done to "key": "value" pairs and
+   * value-pattern matches in place.
+   */
+  function maskResponseBody(body) {
+    const policy = maskingPolicy;
+    // Value patterns only look at strings: numeric ids and timestamps would pass for card numbers
+    const isSensitive = (key, value) => policy.namePatterns.some(pattern => pattern.test(key)) ||
+      (typeof value === 'string' && policy.valuePatterns.some(pattern => pattern.test(value)));
+    
+    const maskJson = (value, key) => {
+      if (Array.isArray(value)) return value.map(item => maskJson(item, key));
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskJson(v, k)]));
+      }
+      if (typeof value !== 'string' && typeof value !== 'number') return value;
+      return isSensitive(key, value) ? `{{secret.${toSecretName(key)}}}` : value;
+    };
+    
+    try {
+      return JSON.stringify(maskJson(JSON.parse(body), 'value'));
+    } catch (e) {
+      const pairsMasked = body.replace(/"([^"\\]+)"(\s*:\s*)"((?:[^"\\]|\\.)*)"/g, (pair, key, colon, value) =>
+        (isSensitive(key, value) ? `"${key}"${colon}"{{secret.${toSecretName(key)}}}"` : pair));
+      return policy.valuePatterns.reduce((text, pattern) =>
+        text.replace(new RegExp(`(?<![\\w@.-])(?:${pattern.source.replace(/^\^|\$$/g, '')})(?![\\w@-])`, 'g'), '{{secret.value}}'), pairsMasked);
+    }
+  }
+  
+  // e.g. "userPassword" -> "user_password", "card-number" -> "card_number"
+  function toSecretName(text) {
+    return text
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/[^a-zA-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .toLowerCase() || 'value';
+  }
+  
   // ==================== ASSERTION RECORDING ====================
   
   /**
@@ -695,7 +1316,12 @@
   }
   
   function recordAssertion(element) {
-    if (!isRecording || !element) return;
+    if (!isRecording || isPaused || !element) return;
+    
+    if (assertionType === 'capture') {
+      recordCapture(element);
+      return;
+    }
     
     // For shadow elements, try to get the inner element
     const targetElement = getShadowInnerElement(element);
@@ -727,6 +1353,7 @@
       assertionType: assertionType,
       xpath: generateXPath(element),
       fullXPath: generateFullXPath(element),
+      locators: generateLocators(element),
       element: getElementInfo(element),
       iframe: getIframePath(),
       frameIndex: getFrameIndex(),
@@ -737,62 +1364,197 @@
         xpath: generateXPath(targetElement),
         tag: targetElement.tagName?.toLowerCase(),
         id: targetElement.id || null,
-        value: targetElement.value || null
+        value: maskSensitiveValue(targetElement, targetElement.value) || null
       } : null,
-      textContent: assertionType === 'text' ? finalValue.slice(0, 200) : null,
-      expectedValue: assertionType === 'text' ? finalValue.slice(0, 200) : null,
+      textContent: assertionType === 'text' ? maskSensitiveValue(targetElement, finalValue.slice(0, 200)) : null,
       // Include a note about shadow DOM assertion
       shadowAssertionNote: shadowPath ? 
         'For shadow DOM text assertion, use page.locator(hostXPath).shadowRoot.locator(innerSelector) in Playwright' : null,
-      description: generateDescription('assertion', element, { assertionType })
+      ...getAssertionExpectation(element, targetElement, finalValue)
     };
+    action.description = generateDescription('assertion', element, action);
     
     console.log('[Recorder] Assertion:', assertionType, action.xpath);
     if (shadowPath) {
       console.log('[Recorder] Shadow assertion - extracted value:', finalValue);
     }
     
-    chrome.runtime.sendMessage({
-      type: 'ACTION_RECORDED',
-      action: action
-    }).catch(err => console.error('[Recorder] Assertion error:', err));
+    sendRecordedAction(action, element);
     
     // Exit assertion mode
     exitAssertionMode();
     chrome.runtime.sendMessage({ type: 'ASSERTION_COMPLETE' }).catch(() => {});
   }
   
-  function enterAssertionMode(type) {
-    isAssertionMode = true;
-    assertionType = type || 'element';
-    document.body.style.cursor = 'crosshair';
-    console.log('[Recorder] Assertion mode:', assertionType);
-  }
+  /**
+   * Store the picked element's text (or a form control's value) in a variable that later steps reference as {{name}}
+   */
+  function recordCapture(element) {
+    const targetElement = getShadowInnerElement(element);
+    const source = ['INPUT', 'TEXTAREA', 'SELECT'].includes(targetElement.tagName) ? 'value' : 'text';
+    
+    const action = {
+      type: 'capture',
+      variable: assertionOptions.variable,
+      source,
+      capturedValue: maskSensitiveValue(targetElement, readCapturedValue(element, source)),
+      xpath: generateXPath(element),
+      fullXPath: generateFullXPath(element),
+      locators: generateLocators(element),
+      element: getElementInfo(element),
+      iframe: getIframePath(),
+      frameIndex: getFrameIndex(),
+      frameElement: getFrameElementInfo(),
+      shadow: getShadowPath(element)
+    };
+    action.description = generateDescription('capture', element, action);
+    
+    console.log('[Recorder] Capture:', action.variable, action.xpath);
+    sendRecordedAction(action, element);
+    
+    exitAssertionMode();
+    chrome.runtime.sendMessage({ type: 'ASSERTION_COMPLETE' }).catch(() => {});
+  }
+  
+  /**
+   * The text or value a capture step stores, read the same way when recording and replaying
+   */
+  function readCapturedValue(element, source) {
+    const target = getShadowInnerElement(element);
+    if (source === 'value') return String(target.value ?? '');
+    return (target.innerText ?? target.textContent ?? '').trim().slice(0, 500);
+  }
+  
+  /**
+   * What the assertion checks, captured from the element's current state.
+   * An expected value typed in the side panel's picker wins over the captured one.
+   */
+  function getAssertionExpectation(element, targetElement, text) {
+    const typed = assertionOptions.expected || '';
+    
+    switch (assertionType) {
+      case 'text':
+        return { match: assertionOptions.match || 'contains', expectedValue: typed || maskSensitiveValue(targetElement, text.slice(0, 200)) };
+      case 'value':
+        return { expectedValue: typed || maskSensitiveValue(targetElement, String(targetElement.value ?? '')) };
+      case 'checked':
+        return { checked: isCheckedElement(targetElement) };
+      case 'attribute': {
+        const attributeName = assertionOptions.attributeName || 'class';
+        return { attributeName, expectedValue: typed || (element.getAttribute(attributeName) ?? '') };
+      }
+      case 'css': {
+        const cssProperty = assertionOptions.cssProperty || 'display';
+        return { cssProperty, expectedValue: typed || getComputedStyle(element).getPropertyValue(cssProperty) };
+      }
+      case 'count': {
+        const countSelector = assertionOptions.selector || buildGroupSelector(element);
+        return { countSelector, expectedCount: countMatches(countSelector, element.getRootNode()) };
+      }
+      default:
+        return {};
+    }
+  }
+  
+  function describeAssertion(target, data) {
+    switch (data.assertionType) {
+      case 'visible':
+      case 'element':
+        return `${target} is visible`;
+      case 'hidden':
+        return `${target} is hidden`;
+      case 'enabled':
+        return `${target} is enabled`;
+      case 'disabled':
+        return `${target} is disabled`;
+      case 'checked':
+        return `${target} is ${data.checked ? 'checked' : 'unchecked'}`;
+      case 'attribute':
+        return `${target} [${data.attributeName}] is "${data.expectedValue}"`;
+      case 'css':
+        return `${target} ${data.cssProperty} is "${data.expectedValue}"`;
+      case 'value':
+        return `${target} has value "${data.expectedValue}"`;
+      case 'count':
+        return `${data.expectedCount} x ${data.countSelector}`;
+      case 'text':
+        return data.match === 'regex'
+          ? `${target} text matches /${data.expectedValue}/`
+          : `${target} text ${data.match === 'equals' ? 'is' : 'contains'} "${data.expectedValue}"`;
+      default:
+        return target;
+    }
+  }
+  
+  /**
+   * Selector for the picked element's siblings of the same kind (tag and stable classes),
+   * scoped to the nearest ancestor with a stable id
+   */
+  function buildGroupSelector(element) {
+    const classes = Array.from(element.classList).filter(isStableClass).slice(0, 2);
+    const selector = element.tagName.toLowerCase() + classes.map(c => `.${CSS.escape(c)}`).join('');
+    
+    for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+      if (isStableId(ancestor.id)) return `#${CSS.escape(ancestor.id)} ${selector}`;
+    }
+    return selector;
+  }
+  
+  function countMatches(selector, root) {
+    try {
+      return root.querySelectorAll(selector).length;
+    } catch (e) {
+      return 0;
+    }
+  }
+  
+  function isCheckedElement(element) {
+    if (element.checked !== undefined) return !!element.checked;
+    return element.getAttribute('aria-checked') === 'true';
+  }
+  
+  function isDisabledElement(element) {
+    return !!element.disabled || element.getAttribute('aria-disabled') === 'true' || !!element.closest?.('fieldset:disabled');
+  }
+  
+  function enterAssertionMode(type, options = {}) {
+    isAssertionMode = true;
+    assertionType = type || 'element';
+    assertionOptions = options;
+    document.body.style.cursor = 'crosshair';
+    updateOverlay();
+    console.log('[Recorder] Assertion mode:', assertionType);
+  }
   
   function exitAssertionMode() {
     isAssertionMode = false;
     document.body.style.cursor = '';
+    updateOverlay();
   }
   
   // ==================== EVENT HANDLERS ====================
   
   function handleClick(event) {
-    if (!isRecording) return;
+    if (!isRecording || isPaused) return;
     
-    flushPendingInput();
+    // A pointer drag ending on another element also fires a click on their common ancestor
+    if (Date.now() < suppressClickUntil) return;
     
-    const element = event.target;
+    // The innermost target, as for double-clicks, so the background can match the clicks a double-click starts with
+    const element = claimEvent(event);
     if (!element) return;
     
+    flushPendingInput();
     recordAction('click', element);
   }
   
   function handleInput(event) {
-    if (!isRecording) return;
+    if (!isRecording || isPaused) return;
     
     const element = event.target;
     if (!element?.tagName) return;
     if (!['INPUT', 'TEXTAREA'].includes(element.tagName)) return;
+    if (element.type === 'file') return;
     
     pendingInput = {
       element: element,
@@ -801,7 +1563,7 @@
   }
   
   function handleChange(event) {
-    if (!isRecording) return;
+    if (!isRecording || isPaused) return;
     
     const element = event.target;
     if (!element?.tagName) return;
@@ -815,30 +1577,291 @@
     } else if (element.type === 'checkbox' || element.type === 'radio') {
       flushPendingInput();
       recordAction('check', element, { checked: element.checked });
+    } else if (element.type === 'file') {
+      flushPendingInput();
+      recordUpload(element);
     }
   }
   
   function handleKeydown(event) {
-    if (!isRecording) return;
+    if (!isRecording || isPaused) return;
     
-    if (event.key === 'Enter') {
-      flushPendingInput();
-      if (event.target) {
-        recordAction('keypress', event.target, { key: 'Enter' });
-      }
-    } else if (event.key === 'Tab') {
+    if (event.key === 'Tab') {
       flushPendingInput();
+      return;
+    }
+    
+    const shortcut = event.ctrlKey || event.altKey || event.metaKey;
+    if (MODIFIER_KEYS.includes(event.key)) return;
+    if (!shortcut && !RECORDED_KEYS.includes(event.key)) return;
+    
+    const element = claimEvent(event);
+    if (!element) return;
+    
+    // Caret movement, deleting and clipboard shortcuts inside a field end up in the recorded input value
+    if (isTextField(element)) {
+      const editing = shortcut
+        ? FIELD_EDITING_SHORTCUTS.includes(event.key.toLowerCase())
+        : FIELD_EDITING_KEYS.includes(event.key);
+      if (editing) return;
+    }
+    
+    flushPendingInput();
+    const modifiers = getModifiers(event);
+    recordAction('keypress', element, { key: event.key, ...(modifiers.length > 0 ? { modifiers } : {}) });
+  }
+  
+  function handleDblClick(event) {
+    if (!isRecording || isPaused || isAssertionMode) return;
+    
+    const element = claimEvent(event);
+    if (!element) return;
+    
+    // The background drops the click(s) that started this double-click
+    flushPendingInput();
+    recordAction('dblclick', element);
+  }
+  
+  function handleContextMenu(event) {
+    if (!isRecording || isPaused || isAssertionMode) return;
+    
+    const element = claimEvent(event);
+    if (!element) return;
+    
+    flushPendingInput();
+    recordAction('contextmenu', element);
+  }
+  
+  /**
+   * Hover is only recorded when resting on an element visibly opens something (menu, submenu, tooltip)
+   */
+  function handleMouseOver(event) {
+    if (!isRecording || isPaused || isAssertionMode) return;
+    
+    const element = claimEvent(event);
+    if (!element || element === hoverTarget) return;
+    
+    hoverTarget = element;
+    clearTimeout(hoverTimer);
+    
+    const trigger = element.closest('[aria-haspopup], [aria-expanded]') || element;
+    const before = snapshotPopups(trigger);
+    
+    hoverTimer = setTimeout(() => {
+      if (hoverTarget !== element || !isRecording || isPaused) return;
+      if (opensPopup(trigger, before)) recordAction('hover', trigger);
+    }, HOVER_SETTLE_DELAY);
+  }
+  
+  function handlePointerDown(event) {
+    // A popup opened by clicking is not a hover popup
+    clearTimeout(hoverTimer);
+    if (!isRecording || isPaused || event.button !== 0) return;
+    
+    const element = claimEvent(event);
+    if (!element) return;
+    pointerDown = { element, x: event.clientX, y: event.clientY };
+  }
+  
+  /**
+   * Pointer-driven drag and drop (libraries that move elements with pointer events instead of HTML5 drag)
+   */
+  function handlePointerUp(event) {
+    const down = pointerDown;
+    pointerDown = null;
+    if (!down || !isRecording || isPaused || isAssertionMode || !claimEvent(event)) return;
+    
+    if (Math.hypot(event.clientX - down.x, event.clientY - down.y) < DRAG_THRESHOLD) return;
+    
+    // Selecting text is not a drag
+    if (isTextField(down.element) || !window.getSelection()?.isCollapsed) return;
+    
+    const target = getDropTargetAt(event.clientX, event.clientY, down.element);
+    if (!target) return;
+    
+    suppressClickUntil = Date.now() + 100;
+    recordDrag(down.element, target, 'pointer');
+  }
+  
+  function handleDragStart(event) {
+    if (!isRecording || isPaused) return;
+    
+    const element = claimEvent(event);
+    dragSource = element;
+    pointerDown = null;
+  }
+  
+  function handleDrop(event) {
+    if (!isRecording || isPaused || !dragSource) return;
+    
+    const element = claimEvent(event);
+    if (element && element !== dragSource) {
+      recordDrag(dragSource, element, 'html5');
     }
+    dragSource = null;
+  }
+  
+  /**
+   * Scrolling is recorded when it made the page (or a scroll container) load more content
+   */
+  function handleScroll(event) {
+    if (!isRecording || isPaused) return;
+    
+    const target = event.target === document ? document.scrollingElement : event.target;
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return;
+    
+    if (scrollState?.target !== target) {
+      scrollState = { target, startHeight: target.scrollHeight };
+    }
+    
+    const state = scrollState;
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => settleScroll(state), SCROLL_SETTLE_DELAY);
   }
   
   function handleFocusOut(event) {
-    if (!isRecording) return;
+    if (!isRecording || isPaused) return;
     
     if (pendingInput && pendingInput.element === event.target) {
       flushPendingInput();
     }
   }
   
+  // ==================== INTERACTION HELPERS ====================
+  
+  // Keys recorded on their own; with Ctrl, Alt or Meta held any key is a shortcut
+  const RECORDED_KEYS = [
+    'Enter', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+    'PageUp', 'PageDown', 'Home', 'End', 'Delete', 'Backspace',
+    'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
+  ];
+  const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta'];
+  const FIELD_EDITING_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Delete', 'Backspace'];
+  const FIELD_EDITING_SHORTCUTS = ['a', 'c', 'v', 'x', 'z', 'y'];
+  const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'password', 'tel', 'url', 'number'];
+  const MAX_FIXTURE_SIZE = 10 * 1024 * 1024;
+  const POPUP_SELECTOR = '[role="menu"], [role="listbox"], [role="tooltip"], [role="dialog"]';
+  const NESTED_POPUP_SELECTOR = 'ul, ol, [class*="menu"], [class*="dropdown"], [class*="popover"], [class*="tooltip"]';
+  const HOVER_SETTLE_DELAY = 400;
+  const DRAG_THRESHOLD = 10;
+  const DRAG_REPLAY_STEPS = 5;
+  const SCROLL_SETTLE_DELAY = 500;
+  const LAZY_LOAD_WAIT = 1000;
+  
+  const handledEvents = new WeakSet();
+  let hoverTarget = null;
+  let hoverTimer = null;
+  let pointerDown = null;
+  let dragSource = null;
+  let suppressClickUntil = 0;
+  let scrollState = null;
+  
+  /**
+   * Listeners sit on the document and on every shadow root, so composed events arrive more than once
+   * Returns the innermost target the first time an event is seen, null afterwards
+   */
+  function claimEvent(event) {
+    if (handledEvents.has(event)) return null;
+    handledEvents.add(event);
+    
+    const target = event.composedPath?.()[0] || event.target;
+    return target?.nodeType === Node.ELEMENT_NODE ? target : null;
+  }
+  
+  function getModifiers(event) {
+    const modifiers = [];
+    if (event.ctrlKey) modifiers.push('Control');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    if (event.metaKey) modifiers.push('Meta');
+    return modifiers;
+  }
+  
+  // Comboboxes use the arrow keys to pick options, so they do not count as plain text fields
+  function isTextField(element) {
+    if (element.getAttribute('role') === 'combobox' || element.hasAttribute('aria-activedescendant')) return false;
+    if (element.tagName === 'TEXTAREA' || element.isContentEditable) return true;
+    return element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(element.type);
+  }
+  
+  function isElementVisible(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(element).visibility !== 'hidden';
+  }
+  
+  /**
+   * Popup candidates: menus anywhere in the trigger's document plus lists next to the trigger (CSS hover menus)
+   */
+  function getVisiblePopups(trigger) {
+    const scope = trigger.parentElement || trigger;
+    return [
+      ...trigger.getRootNode().querySelectorAll(POPUP_SELECTOR),
+      ...scope.querySelectorAll(NESTED_POPUP_SELECTOR)
+    ].filter(isElementVisible);
+  }
+  
+  function snapshotPopups(trigger) {
+    return {
+      expanded: trigger.getAttribute('aria-expanded') === 'true',
+      visible: new Set(getVisiblePopups(trigger))
+    };
+  }
+  
+  function opensPopup(trigger, before) {
+    if (!before.expanded && trigger.getAttribute('aria-expanded') === 'true') return true;
+    return getVisiblePopups(trigger).some(el => !before.visible.has(el) && !el.contains(trigger));
+  }
+  
+  /**
+   * The element under the pointer at the drop, skipping the dragged element that may follow the pointer
+   */
+  function getDropTargetAt(x, y, source) {
+    let root = document;
+    let target = null;
+    
+    while (root) {
+      const hit = root.elementsFromPoint(x, y).find(el => !source.contains(el) && !el.contains(source));
+      if (!hit || hit === target) break;
+      target = hit;
+      root = hit.shadowRoot;
+    }
+    return target;
+  }
+  
+  function recordDrag(source, target, dragMode) {
+    flushPendingInput();
+    recordAction('drag', source, {
+      dragMode,
+      target: {
+        xpath: generateXPath(target),
+        fullXPath: generateFullXPath(target),
+        locators: generateLocators(target),
+        element: getElementInfo(target),
+        shadow: getShadowPath(target),
+        description: generateDescription('drop', target)
+      }
+    });
+  }
+  
+  /**
+   * Record the scroll if the content grew while scrolling or shortly after (lazy loading)
+   */
+  function settleScroll(state) {
+    if (scrollState === state) scrollState = null;
+    
+    const { target } = state;
+    const position = { scrollX: Math.round(target.scrollLeft), scrollY: Math.round(target.scrollTop) };
+    const grew = () => target.scrollHeight > state.startHeight;
+    
+    if (grew()) {
+      recordAction('scroll', target, position);
+      return;
+    }
+    setTimeout(() => {
+      if (isRecording && !isPaused && grew()) recordAction('scroll', target, position);
+    }, LAZY_LOAD_WAIT);
+  }
+  
   // ==================== EVENT LISTENER MANAGEMENT ====================
   
   function attachListeners(root) {
@@ -847,6 +1870,14 @@
     root.addEventListener('change', handleChange, true);
     root.addEventListener('keydown', handleKeydown, true);
     root.addEventListener('focusout', handleFocusOut, true);
+    root.addEventListener('dblclick', handleDblClick, true);
+    root.addEventListener('contextmenu', handleContextMenu, true);
+    root.addEventListener('mouseover', handleMouseOver, true);
+    root.addEventListener('pointerdown', handlePointerDown, true);
+    root.addEventListener('pointerup', handlePointerUp, true);
+    root.addEventListener('dragstart', handleDragStart, true);
+    root.addEventListener('drop', handleDrop, true);
+    root.addEventListener('scroll', handleScroll, true);
   }
   
   function detachListeners(root) {
@@ -855,6 +1886,14 @@
     root.removeEventListener('change', handleChange, true);
     root.removeEventListener('keydown', handleKeydown, true);
     root.removeEventListener('focusout', handleFocusOut, true);
+    root.removeEventListener('dblclick', handleDblClick, true);
+    root.removeEventListener('contextmenu', handleContextMenu, true);
+    root.removeEventListener('mouseover', handleMouseOver, true);
+    root.removeEventListener('pointerdown', handlePointerDown, true);
+    root.removeEventListener('pointerup', handlePointerUp, true);
+    root.removeEventListener('dragstart', handleDragStart, true);
+    root.removeEventListener('drop', handleDrop, true);
+    root.removeEventListener('scroll', handleScroll, true);
   }
   
   // ==================== SHADOW DOM OBSERVATION ====================
@@ -927,56 +1966,1071 @@
     shadowObservers.push(observer);
   }
   
-  // ==================== RECORDING CONTROL ====================
+  // ==================== WAIT TRACKING ====================
+  
+  // Between two steps, note which loading indicators came and went and which elements were
+  // inserted, so each step records what a replay or exported script has to wait for.
+  // Network activity and URL changes are tracked by the background.
+  const SPINNER_SELECTOR = '[aria-busy="true"], [role="progressbar"], .spinner, .loading, .loader, [class*="spinner"], [class*="skeleton"]';
+  const SPINNER_CLASS_PATTERN = /spinner|loading|loader|skeleton/i;
+  const MAX_TRACKED_SPINNERS = 20;
   
-  function startRecording() {
-    if (isRecording) return;
+  let insertedAt = new WeakMap();
+  let seenSpinners = new Map(); // element -> selector to wait on
+  let lastStepAt = 0;
+  
+  function setupWaitObserver() {
+    lastStepAt = Date.now();
     
-    isRecording = true;
-    console.log('[Recorder] Started recording');
+    const observer = new MutationObserver((mutations) => {
+      if (!isRecording) return;
+      const now = Date.now();
+      
+      for (const mutation of mutations) {
+        if (mutation.type === 'attributes') {
+          noteSpinner(mutation.target);
+          continue;
+        }
+        for (const node of mutation.addedNodes) {
+          if (node.nodeType !== Node.ELEMENT_NODE || node.id === OVERLAY_ID) continue;
+          insertedAt.set(node, now);
+          noteSpinner(node);
+          node.querySelectorAll(SPINNER_SELECTOR).forEach(noteSpinner);
+        }
+      }
+    });
     
-    // Attach to main document
-    attachListeners(document);
+    observer.observe(document, { childList: true, subtree: true, attributes: true, attributeFilter: ['aria-busy', 'class'] });
+    shadowObservers.push(observer);
+  }
+  
+  function noteSpinner(element) {
+    if (seenSpinners.size >= MAX_TRACKED_SPINNERS || seenSpinners.has(element)) return;
+    if (!element.matches?.(SPINNER_SELECTOR) || !isElementVisible(element)) return;
+    seenSpinners.set(element, getSpinnerSelector(element));
+  }
+  
+  /**
+   * A selector for the loading indicator that doesn't depend on it still being on the page
+   */
+  function getSpinnerSelector(element) {
+    if (isStableId(element.id)) return `#${CSS.escape(element.id)}`;
+    const className = Array.from(element.classList).find(name => SPINNER_CLASS_PATTERN.test(name));
+    if (className) return `.${CSS.escape(className)}`;
+    return element.getAttribute('aria-busy') === 'true' ? '[aria-busy="true"]' : '[role="progressbar"]';
+  }
+  
+  /**
+   * What the page did since the previous step that this step had to wait for.
+   * Resets tracking, so call it once per recorded step.
+   */
+  function collectStepWaits(element) {
+    const waits = [];
+    const selectors = new Set();
+    
+    for (const [spinner, selector] of seenSpinners) {
+      if (spinner.isConnected && isElementVisible(spinner)) continue;
+      if (selectors.has(selector)) continue;
+      selectors.add(selector);
+      waits.push({ type: 'spinnerGone', selector });
+    }
+    if (element && wasInsertedSince(element, lastStepAt)) {
+      waits.push({ type: 'elementVisible' });
+    }
     
-    // Find and attach to existing shadow roots
-    findAndAttachToShadowRoots(document);
+    seenSpinners = new Map();
+    lastStepAt = Date.now();
+    return waits;
+  }
+  
+  function wasInsertedSince(element, since) {
+    for (let node = element; node; node = node.parentNode || node.host) {
+      if ((insertedAt.get(node) || 0) > since) return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Replay side: let recorded loading indicators disappear before looking for the element.
+   * Best effort - a spinner that never goes away is left for the step itself to fail on.
+   */
+  async function waitForSpinnersGone(action, deadline) {
+    const selectors = (action.waitFor || []).filter(wait => wait.type === 'spinnerGone').map(wait => wait.selector);
+    if (selectors.length === 0) return;
     
-    // Observe for new shadow roots
-    setupMainObserver();
+    const isLoading = () => selectors.some(selector => {
+      try {
+        return Array.from(document.querySelectorAll(selector)).some(isElementVisible);
+      } catch (e) {
+        return false;
+      }
+    });
+    while (isLoading() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
   }
   
-  function stopRecording() {
-    if (!isRecording) return;
+  async function waitForVisible(element, deadline) {
+    while (!isElementVisible(element) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  
+  // ==================== PAGE HOOKS ====================
+  
+  // Hooks in the page's own world (installNetworkHook and installErrorHook in background.js) report
+  // fetch/XHR responses and console errors through one DOM event; forward them to the background.
+  const PAGE_BRIDGE_EVENT = '__action-recorder-page';
+  const PAGE_HOOK_MESSAGES = { network: 'NETWORK_CAPTURED', error: 'PAGE_ERROR' };
+  
+  document.addEventListener(PAGE_BRIDGE_EVENT, (event) => {
+    try {
+      const { kind, entry } = JSON.parse(event.detail);
+      if (!PAGE_HOOK_MESSAGES[kind]) return;
+      // Sensitive values never leave the page, in API responses either
+      if (kind === 'network' && entry.responseBody) entry.responseBody = maskResponseBody(entry.responseBody);
+      chrome.runtime.sendMessage({ type: PAGE_HOOK_MESSAGES[kind], entry }).catch(() => {});
+    } catch (e) {
+      console.warn('[Recorder] Ignored malformed page hook event:', e);
+    }
+  });
+  
+  // The bridge holds its entries until this script answers, whichever of the two was injected first
+  function announcePageListener() {
+    document.dispatchEvent(new CustomEvent(`${PAGE_BRIDGE_EVENT}-ready`));
+  }
+  
+  document.addEventListener(`${PAGE_BRIDGE_EVENT}-hook`, announcePageListener);
+  announcePageListener();
+  
+  // ==================== RECORDING OVERLAY ====================
+  
+  // Lives in a closed shadow root so page styles and scripts cannot reach it.
+  // recordAction() skips anything inside the host, so the overlay is never recorded.
+  const OVERLAY_ID = '__action-recorder-indicator';
+  const FLASH_DURATION = 600;
+  const CAPTURED_NOTICE_DURATION = 1500;
+  const LOCATOR_LABEL_DELAY = 60;
+  
+  let overlay = null;
+  let hoveredElement = null;
+  let locatorLabelTimer = null;
+  let capturedNoticeTimer = null;
+  
+  /**
+   * Bring the overlay in line with the recording state: shown while recording, badge text per mode
+   */
+  function updateOverlay() {
+    if (!isRecording) {
+      removeOverlay();
+      return;
+    }
+    if (!overlay) createOverlay();
     
-    isRecording = false;
-    isAssertionMode = false;
-    document.body.style.cursor = '';
-    console.log('[Recorder] Stopped recording');
+    if (isPaused) hideHighlight();
+    overlay.highlight.classList.toggle('assertion', isAssertionMode);
     
-    // Detach listeners
-    detachListeners(document);
+    if (overlay.badge) {
+      overlay.badge.className = `badge ${isPaused ? 'paused' : isAssertionMode ? 'assertion' : 'recording'}`;
+      overlay.badgeText.textContent = isPaused ? 'Paused'
+        : isAssertionMode && assertionType === 'capture' ? `Capture {{${assertionOptions.variable}}}: click an element`
+        : isAssertionMode ? `Assert ${assertionType}: click an element`
+        : 'Recording';
+    }
+  }
+  
+  function createOverlay() {
+    const host = document.createElement('div');
+    host.id = OVERLAY_ID;
+    host.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+    const shadow = host.attachShadow({ mode: 'closed' });
+    
+    // Only the top frame shows the badge; every frame draws its own highlight
+    shadow.innerHTML = `
+      <style>
+        .highlight { position: fixed; display: none; border: 2px solid #ff4757; background: rgba(255, 71, 87, 0.08); border-radius: 3px; box-sizing: border-box; }
+        .highlight.assertion { border-color: #22d3ee; background: rgba(34, 211, 238, 0.1); }
+        .label { position: absolute; left: -2px; bottom: 100%; margin-bottom: 4px; max-width: 420px; padding: 3px 6px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; background: #1a1a24; color: #fff; border-radius: 4px; font: 11px ui-monospace, SFMono-Regular, Menlo, monospace; }
+        .highlight.below .label { top: 100%; bottom: auto; margin: 4px 0 0; }
+        .flash { position: fixed; border: 2px solid #00d26a; background: rgba(0, 210, 106, 0.25); border-radius: 3px; box-sizing: border-box; animation: flash ${FLASH_DURATION}ms ease-out forwards; }
+        .flash.assertion { border-color: #22d3ee; background: rgba(34, 211, 238, 0.25); }
+        @keyframes flash { from { opacity: 1; } to { opacity: 0; transform: scale(1.04); } }
+        .badge { position: fixed; top: 12px; right: 12px; display: flex; align-items: center; gap: 8px; max-width: 360px; padding: 6px 12px; background: #1a1a24; color: #fff; border-radius: 16px; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.35); font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+        .text { overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+        .dot { flex: none; width: 8px; height: 8px; border-radius: 50%; background: #ff4757; animation: blink 1s infinite; }
+        .badge.paused .dot { background: #ffa502; animation: none; }
+        .badge.assertion .dot { background: #22d3ee; }
+        @keyframes blink { 50% { opacity: 0.3; } }
+      </style>
+      <div class="highlight"><span class="label"></span></div>
+      ${isMainFrame ? '<div class="badge"><span class="dot"></span><span class="text"></span></div>' : ''}
+    `;
+    
+    overlay = {
+      host,
+      shadow,
+      highlight: shadow.querySelector('.highlight'),
+      label: shadow.querySelector('.label'),
+      badge: shadow.querySelector('.badge'),
+      badgeText: shadow.querySelector('.badge .text')
+    };
+    document.documentElement.appendChild(host);
     
-    // Disconnect observers
-    shadowObservers.forEach(obs => obs.disconnect());
-    shadowObservers = [];
+    document.addEventListener('mouseover', handleOverlayHover, true);
+    document.documentElement.addEventListener('mouseleave', hideHighlight);
+    window.addEventListener('scroll', refreshHighlight, true);
+    window.addEventListener('resize', refreshHighlight);
   }
   
-  // ==================== MESSAGE HANDLING ====================
+  function removeOverlay() {
+    if (!overlay) return;
+    
+    document.removeEventListener('mouseover', handleOverlayHover, true);
+    document.documentElement.removeEventListener('mouseleave', hideHighlight);
+    window.removeEventListener('scroll', refreshHighlight, true);
+    window.removeEventListener('resize', refreshHighlight);
+    clearTimeout(locatorLabelTimer);
+    clearTimeout(capturedNoticeTimer);
+    
+    overlay.host.remove();
+    overlay = null;
+    hoveredElement = null;
+  }
   
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    switch (message.type) {
-      case 'START_RECORDING':
-        startRecording();
-        sendResponse({ success: true });
-        break;
-        
-      case 'STOP_RECORDING':
-        stopRecording();
-        sendResponse({ success: true });
+  /**
+   * Outline the element under the cursor; composedPath() reaches into open shadow roots
+   */
+  function handleOverlayHover(event) {
+    if (!overlay || isPaused) return;
+    
+    const element = event.composedPath()[0];
+    if (!(element instanceof Element) || element === hoveredElement || element.id === OVERLAY_ID) return;
+    
+    // The frame's own content script highlights what is inside it
+    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+      hideHighlight();
+      return;
+    }
+    
+    hoveredElement = element;
+    positionHighlight(element);
+    
+    // Building locators queries the document, so wait until the cursor settles
+    clearTimeout(locatorLabelTimer);
+    overlay.label.textContent = '';
+    locatorLabelTimer = setTimeout(() => {
+      if (overlay && hoveredElement === element) overlay.label.textContent = getProposedLocator(element);
+    }, LOCATOR_LABEL_DELAY);
+  }
+  
+  function positionHighlight(element) {
+    const rect = element.getBoundingClientRect();
+    const style = overlay.highlight.style;
+    style.display = rect.width > 0 || rect.height > 0 ? 'block' : 'none';
+    style.top = `${rect.top}px`;
+    style.left = `${rect.left}px`;
+    style.width = `${rect.width}px`;
+    style.height = `${rect.height}px`;
+    overlay.highlight.classList.toggle('below', rect.top < 24);
+  }
+  
+  function refreshHighlight() {
+    if (overlay && hoveredElement && !isPaused) positionHighlight(hoveredElement);
+  }
+  
+  function hideHighlight() {
+    if (!overlay) return;
+    overlay.highlight.style.display = 'none';
+    hoveredElement = null;
+  }
+  
+  /**
+   * The locator the recorder would use for the element, as shown in the hover label
+   */
+  function getProposedLocator(element) {
+    try {
+      if (isAssertionMode && assertionType === 'count') {
+        return assertionOptions.selector || buildGroupSelector(element);
+      }
+      const [best] = generateLocators(element);
+      return best ? `${best.strategy}: ${best.value}` : element.tagName.toLowerCase();
+    } catch (e) {
+      return element.tagName.toLowerCase();
+    }
+  }
+  
+  /**
+   * Briefly outline a captured element and, in the top frame, name the captured step on the badge
+   */
+  function flashCapture(element, action) {
+    if (!overlay || !element?.getBoundingClientRect) return;
+    
+    const rect = element.getBoundingClientRect();
+    if (rect.width > 0 || rect.height > 0) {
+      const flash = document.createElement('div');
+      flash.className = `flash${['assertion', 'capture'].includes(action.type) ? ' assertion' : ''}`;
+      flash.style.cssText = `top: ${rect.top}px; left: ${rect.left}px; width: ${rect.width}px; height: ${rect.height}px;`;
+      overlay.shadow.appendChild(flash);
+      setTimeout(() => flash.remove(), FLASH_DURATION);
+    }
+    
+    if (overlay.badge) {
+      overlay.badgeText.textContent = `Captured: ${action.description || action.type}`;
+      clearTimeout(capturedNoticeTimer);
+      capturedNoticeTimer = setTimeout(updateOverlay, CAPTURED_NOTICE_DURATION);
+    }
+  }
+  
+  // ==================== RECORDING CONTROL ====================
+  
+  function startRecording(paused = false) {
+    isPaused = paused;
+    if (isRecording) {
+      updateOverlay();
+      return;
+    }
+    
+    isRecording = true;
+    updateOverlay();
+    console.log('[Recorder] Started recording');
+    
+    // Attach to main document
+    attachListeners(document);
+    
+    // Find and attach to existing shadow roots
+    findAndAttachToShadowRoots(document);
+    
+    // Observe for new shadow roots
+    setupMainObserver();
+    setupWaitObserver();
+  }
+  
+  function stopRecording() {
+    if (!isRecording) return;
+    
+    isRecording = false;
+    isPaused = false;
+    isAssertionMode = false;
+    document.body.style.cursor = '';
+    removeOverlay();
+    console.log('[Recorder] Stopped recording');
+    
+    // Detach listeners
+    detachListeners(document);
+    clearTimeout(hoverTimer);
+    pointerDown = null;
+    dragSource = null;
+    
+    // Disconnect observers
+    shadowObservers.forEach(obs => obs.disconnect());
+    shadowObservers = [];
+    seenSpinners = new Map();
+  }
+  
+  /**
+   * Stop capturing without tearing down listeners; typing in progress is recorded first
+   */
+  function pauseRecording() {
+    if (!isRecording || isPaused) return;
+    
+    flushPendingInput();
+    exitAssertionMode();
+    isPaused = true;
+    updateOverlay();
+    console.log('[Recorder] Paused recording');
+  }
+  
+  function resumeRecording() {
+    if (!isRecording || !isPaused) return;
+    
+    pendingInput = null;
+    isPaused = false;
+    updateOverlay();
+    console.log('[Recorder] Resumed recording');
+  }
+  
+  // ==================== REPLAY ====================
+  
+  /**
+   * Check whether this frame is the one the action was recorded in
+   * Compares the recorded iframe path with this frame's path by frameId (falls back to index)
+   */
+  function isReplayTargetFrame(action) {
+    const toKey = (path) => (path || []).map(f => f.frameId || f.index).join('>');
+    return toKey(action.iframe) === toKey(getIframePath());
+  }
+  
+  /**
+   * Resolve a recorded action's element in this frame
+   * Order: ranked CSS/XPath locators, xpath, fullXPath, then the recorded shadow path
+   */
+  function resolveElement(action) {
+    let root = document;
+    
+    if (action.shadow && action.shadow.length > 0) {
+      root = resolveShadowRoot(action.shadow);
+      if (!root) return null;
+    }
+    
+    for (const locator of action.locators || []) {
+      const element = resolveLocator(locator, root);
+      if (element) return element;
+    }
+    
+    for (const xpath of [action.xpath, action.fullXPath]) {
+      const element = evaluateXPath(xpath, root);
+      if (element) return element;
+    }
+    
+    if (action.shadow && action.shadow.length > 0) {
+      return walkInnerXPath(root, action.shadow[action.shadow.length - 1].innerXPath);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Resolve a single recorded locator; role and text locators are left to the exporters
+   */
+  function resolveLocator(locator, root) {
+    if (!locator.unique) return null;
+    
+    if (locator.strategy === 'css' || locator.strategy === 'testId') {
+      try {
+        return root.querySelector(locator.value);
+      } catch (e) {
+        return null;
+      }
+    }
+    
+    if (locator.strategy === 'xpath' || locator.strategy === 'fullXPath') {
+      return evaluateXPath(locator.value, root);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Follow a recorded shadow path down to the shadow root that contains the target element
+   */
+  function resolveShadowRoot(shadowPath) {
+    const outer = shadowPath[0];
+    let host = evaluateXPath(outer.hostXPath, document);
+    if (!host && outer.hostId) {
+      host = document.getElementById(outer.hostId);
+    }
+    
+    let root = host ? getShadowRootOf(host) : null;
+    
+    // Every level but the last leads to the next host
+    for (let i = 0; i < shadowPath.length - 1 && root; i++) {
+      host = walkInnerXPath(root, shadowPath[i].innerXPath);
+      root = host ? getShadowRootOf(host) : null;
+    }
+    
+    return root;
+  }
+  
+  function getShadowRootOf(host) {
+    if (host.shadowRoot) return host.shadowRoot;
+    // Extensions can reach closed shadow roots
+    try {
+      return chrome.dom?.openOrClosedShadowRoot?.(host) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  /**
+   * Evaluate an XPath and return the first matching element inside root
+   */
+  function evaluateXPath(xpath, root) {
+    if (!xpath) return null;
+    
+    try {
+      const result = document.evaluate(xpath, root, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+      const node = result.singleNodeValue;
+      if (node && node.nodeType === Node.ELEMENT_NODE && (root === document || root.contains(node))) {
+        return node;
+      }
+    } catch (e) {}
+    
+    return null;
+  }
+  
+  /**
+   * Walk the simple inner XPath produced by generateInnerXPath(), e.g. *[@id="x"]/div/span[2]
+   */
+  function walkInnerXPath(root, innerXPath) {
+    if (!root || !innerXPath) return null;
+    
+    let current = root;
+    
+    for (const step of innerXPath.split('/').filter(Boolean)) {
+      const match = step.match(/^(\*|[a-zA-Z][\w-]*)(?:\[@id="([^"]*)"\])?(?:\[(\d+)\])?$/);
+      if (!match || !current) return null;
+      
+      const [, tag, id, position] = match;
+      
+      if (id) {
+        current = current.querySelector(`[id="${CSS.escape(id)}"]`);
+        continue;
+      }
+      
+      const siblings = Array.from(current.children || [])
+        .filter(c => tag === '*' || c.tagName.toLowerCase() === tag.toLowerCase());
+      current = siblings[(parseInt(position, 10) || 1) - 1] || null;
+    }
+    
+    return current === root ? null : current;
+  }
+  
+  /**
+   * Poll until the action's element can be resolved or the timeout expires
+   */
+  async function waitForElement(action, timeout) {
+    const deadline = Date.now() + timeout;
+    
+    while (true) {
+      const element = resolveElement(action);
+      if (element) return element;
+      if (Date.now() >= deadline) return null;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  
+  /**
+   * Execute a single recorded action in this frame
+   * `healingCandidate` is set when the element was not found but a likely replacement was
+   * @returns {Promise<{success: boolean, error?: string, actual?: string, healingCandidate?: object}>}
+   */
+  async function replayStep(action, timeout = 5000, heal = true) {
+    const deadline = Date.now() + timeout;
+    await waitForSpinnersGone(action, deadline);
+    
+    // Hidden elements may also be gone entirely, and counts may be zero
+    if (action.type === 'assertion' && ['hidden', 'count'].includes(action.assertionType)) {
+      return waitForAssertion(null, action, timeout);
+    }
+    
+    const element = await waitForElement(action, timeout);
+    
+    // Recorded locators no longer match: offer the closest fingerprint match.
+    // The background asks the user about it in separate messages and replays the step again if accepted
+    if (!element) {
+      pendingHealing = heal ? proposeHealing(action) : null;
+      if (!pendingHealing) {
+        return { success: false, error: 'Element not found' };
+      }
+      return { success: false, error: 'Element not found', healingCandidate: pendingHealing.details };
+    }
+    
+    // The element appeared during recording; give it time to become visible as well
+    if (action.waitFor?.some(wait => wait.type === 'elementVisible')) {
+      await waitForVisible(element, deadline);
+    }
+    
+    // Drag steps also need their drop target (recorded in the same frame)
+    let dropTarget = null;
+    if (action.type === 'drag') {
+      dropTarget = await waitForElement({ ...action, ...action.target }, timeout);
+      if (!dropTarget) return { success: false, error: 'Drop target not found' };
+    }
+    
+    const outcome = action.type === 'assertion'
+      ? await waitForAssertion(element, action, timeout)
+      : performStep(element, action, dropTarget);
+    return outcome;
+  }
+  
+  /**
+   * Perform the action on an already resolved element
+   */
+  function performStep(element, action, dropTarget = null) {
+    try {
+      if (action.type !== 'scroll') {
+        element.scrollIntoView({ block: 'center', inline: 'center' });
+      }
+      
+      switch (action.type) {
+        case 'click':
+          dispatchClick(element);
+          break;
+          
+        case 'dblclick':
+          dispatchClick(element);
+          dispatchClick(element);
+          element.dispatchEvent(new MouseEvent('dblclick', { ...getPointerInit(element), detail: 2 }));
+          break;
+          
+        case 'contextmenu':
+          dispatchContextMenu(element);
+          break;
+          
+        case 'hover':
+          dispatchHover(element);
+          break;
+          
+        case 'drag':
+          dispatchDrag(element, dropTarget, action.dragMode);
+          break;
+          
+        case 'upload':
+          return attachFiles(element, action.files || []);
+          
+        case 'capture':
+          return { success: true, actual: readCapturedValue(element, action.source) };
+          
+        case 'scroll':
+          element.scrollTo(action.scrollX || 0, action.scrollY || 0);
+          break;
+          
+        case 'input':
+          setNativeValue(element, action.value || '');
+          break;
+          
+        case 'select':
+          setNativeValue(element, action.value || '');
+          break;
+          
+        case 'check':
+          if (element.checked !== !!action.checked) dispatchClick(element);
+          break;
+          
+        case 'keypress':
+          dispatchKey(element, action.key || 'Enter', action.modifiers);
+          break;
+          
+        default:
+          return { success: false, error: `Unsupported action type: ${action.type}` };
+      }
+      
+      return { success: true };
+    } catch (err) {
+      console.error('[Recorder] Replay error:', err);
+      return { success: false, error: err.message };
+    }
+  }
+  
+  /**
+   * Mouse/pointer event init aimed at the centre of the element
+   */
+  function getPointerInit(element, button = 0) {
+    const rect = element.getBoundingClientRect();
+    return {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+      button,
+      buttons: button === 2 ? 2 : 1,
+      pointerId: 1,
+      pointerType: 'mouse',
+      isPrimary: true
+    };
+  }
+  
+  function dispatchClick(element) {
+    const init = getPointerInit(element);
+    
+    element.dispatchEvent(new PointerEvent('pointerdown', init));
+    element.dispatchEvent(new MouseEvent('mousedown', init));
+    element.focus?.();
+    element.dispatchEvent(new PointerEvent('pointerup', init));
+    element.dispatchEvent(new MouseEvent('mouseup', init));
+    // click() runs default actions (checkbox toggle, link navigation, form submit)
+    element.click();
+  }
+  
+  /**
+   * Set a value the way a user would, so framework-controlled inputs (React, Angular, ...) see it
+   */
+  function setNativeValue(element, value) {
+    const target = getShadowInnerElement(element);
+    target.focus?.();
+    
+    if (target.isContentEditable) {
+      target.textContent = value;
+    } else {
+      const proto = Object.getPrototypeOf(target);
+      const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+      if (setter) {
+        setter.call(target, value);
+      } else {
+        target.value = value;
+      }
+    }
+    
+    target.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    target.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  }
+  
+  function dispatchContextMenu(element) {
+    const init = getPointerInit(element, 2);
+    
+    element.dispatchEvent(new PointerEvent('pointerdown', init));
+    element.dispatchEvent(new MouseEvent('mousedown', init));
+    element.dispatchEvent(new PointerEvent('pointerup', init));
+    element.dispatchEvent(new MouseEvent('mouseup', init));
+    element.dispatchEvent(new MouseEvent('contextmenu', init));
+  }
+  
+  /**
+   * Synthetic events cannot trigger CSS :hover, but script-driven menus open on these
+   */
+  function dispatchHover(element) {
+    const init = getPointerInit(element);
+    
+    element.dispatchEvent(new PointerEvent('pointerover', init));
+    element.dispatchEvent(new PointerEvent('pointerenter', { ...init, bubbles: false }));
+    element.dispatchEvent(new MouseEvent('mouseover', init));
+    element.dispatchEvent(new MouseEvent('mouseenter', { ...init, bubbles: false }));
+    element.dispatchEvent(new PointerEvent('pointermove', init));
+    element.dispatchEvent(new MouseEvent('mousemove', init));
+  }
+  
+  /**
+   * HTML5 drags share one DataTransfer across their events; pointer drags move in steps
+   * so libraries see their activation distance passed
+   */
+  function dispatchDrag(source, target, dragMode) {
+    const start = getPointerInit(source);
+    const end = getPointerInit(target);
+    
+    if (dragMode === 'html5') {
+      const dataTransfer = new DataTransfer();
+      source.dispatchEvent(new DragEvent('dragstart', { ...start, dataTransfer }));
+      target.dispatchEvent(new DragEvent('dragenter', { ...end, dataTransfer }));
+      target.dispatchEvent(new DragEvent('dragover', { ...end, dataTransfer }));
+      target.dispatchEvent(new DragEvent('drop', { ...end, dataTransfer }));
+      source.dispatchEvent(new DragEvent('dragend', { ...end, dataTransfer }));
+      return;
+    }
+    
+    source.dispatchEvent(new PointerEvent('pointerdown', start));
+    source.dispatchEvent(new MouseEvent('mousedown', start));
+    
+    for (let step = 1; step <= DRAG_REPLAY_STEPS; step++) {
+      const point = {
+        ...start,
+        clientX: start.clientX + (end.clientX - start.clientX) * step / DRAG_REPLAY_STEPS,
+        clientY: start.clientY + (end.clientY - start.clientY) * step / DRAG_REPLAY_STEPS
+      };
+      const over = document.elementFromPoint(point.clientX, point.clientY) || target;
+      over.dispatchEvent(new PointerEvent('pointermove', point));
+      over.dispatchEvent(new MouseEvent('mousemove', point));
+    }
+    
+    target.dispatchEvent(new PointerEvent('pointerup', end));
+    target.dispatchEvent(new MouseEvent('mouseup', end));
+  }
+  
+  /**
+   * Put the stored fixtures back into a file input, as if the user had picked them
+   */
+  function attachFiles(element, files) {
+    const missing = files.filter(file => !file.data).map(file => file.name);
+    if (missing.length > 0) {
+      return { success: false, error: `No stored contents for ${missing.join(', ')} (enable "Store uploaded files" and re-record)` };
+    }
+    
+    const dataTransfer = new DataTransfer();
+    files.forEach(file => dataTransfer.items.add(dataUrlToFile(file)));
+    element.files = dataTransfer.files;
+    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    return { success: true };
+  }
+  
+  function dataUrlToFile(file) {
+    const base64 = file.data.slice(file.data.indexOf(',') + 1);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new File([bytes], file.name, { type: file.type });
+  }
+  
+  function dispatchKey(element, key, modifiers = []) {
+    const init = {
+      key,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      ctrlKey: modifiers.includes('Control'),
+      altKey: modifiers.includes('Alt'),
+      shiftKey: modifiers.includes('Shift'),
+      metaKey: modifiers.includes('Meta')
+    };
+    const notCancelled = element.dispatchEvent(new KeyboardEvent('keydown', init));
+    element.dispatchEvent(new KeyboardEvent('keypress', init));
+    element.dispatchEvent(new KeyboardEvent('keyup', init));
+    
+    // Synthetic key events have no default action - submit the form like a real Enter would
+    if (key === 'Enter' && modifiers.length === 0 && notCancelled && element.form && element.tagName === 'INPUT') {
+      element.form.requestSubmit();
+    }
+  }
+  
+  /**
+   * Assertions are retried until they pass or the step times out, like web-first assertions
+   */
+  async function waitForAssertion(element, action, timeout) {
+    const deadline = Date.now() + timeout;
+    
+    while (true) {
+      let outcome;
+      try {
+        outcome = evaluateAssertion(element, action);
+      } catch (err) {
+        outcome = { success: false, error: err.message };
+      }
+      if (outcome.success || Date.now() >= deadline) return outcome;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  
+  function evaluateAssertion(element, action) {
+    const expected = action.expectedValue ?? '';
+    
+    switch (action.assertionType) {
+      case 'hidden': {
+        const current = resolveElement(action);
+        return !current || !isElementVisible(current)
+          ? { success: true }
+          : { success: false, error: 'Element is still visible' };
+      }
+      
+      case 'count': {
+        const root = action.shadow?.length > 0 ? resolveShadowRoot(action.shadow) : document;
+        const actual = root ? countMatches(action.countSelector, root) : 0;
+        return actual === action.expectedCount
+          ? { success: true, actual: String(actual) }
+          : { success: false, actual: String(actual), error: `Expected ${action.expectedCount} elements matching ${action.countSelector} but found ${actual}` };
+      }
+      
+      case 'enabled':
+      case 'disabled': {
+        const disabled = isDisabledElement(getShadowInnerElement(element));
+        return disabled === (action.assertionType === 'disabled')
+          ? { success: true }
+          : { success: false, error: `Element is ${disabled ? 'disabled' : 'enabled'}` };
+      }
+      
+      case 'checked': {
+        const checked = isCheckedElement(getShadowInnerElement(element));
+        return checked === !!action.checked
+          ? { success: true }
+          : { success: false, error: `Element is ${checked ? 'checked' : 'unchecked'}` };
+      }
+      
+      case 'attribute':
+        return compareAssertionValue(element.getAttribute(action.attributeName) ?? '', expected, 'equals');
+        
+      case 'css':
+        return compareAssertionValue(getComputedStyle(element).getPropertyValue(action.cssProperty), expected, 'equals');
+        
+      case 'value':
+        return compareAssertionValue(String(getShadowInnerElement(element).value ?? ''), expected, 'equals');
+        
+      case 'text': {
+        const actual = getShadowTextContent(getShadowInnerElement(element)).slice(0, 200);
+        return compareAssertionValue(actual, expected || action.textContent || '', action.match || 'contains');
+      }
+        
+      default:
+        return isElementVisible(element)
+          ? { success: true }
+          : { success: false, error: 'Element is not visible' };
+    }
+  }
+  
+  function compareAssertionValue(actual, expected, match) {
+    const passed = match === 'regex' ? new RegExp(expected).test(actual)
+      : match === 'equals' ? actual.trim() === expected.trim()
+      : actual.includes(expected);
+    if (passed) return { success: true, actual };
+    
+    const wanted = match === 'regex' ? `to match /${expected}/` : `"${expected}"`;
+    return { success: false, actual, error: `Expected ${wanted} but found "${actual}"` };
+  }
+  
+  // ==================== SELF-HEALING ====================
+  
+  // Weight of each recorded fingerprint field when scoring candidates (tag must match)
+  const FINGERPRINT_WEIGHTS = {
+    id: 3,
+    name: 3,
+    ariaLabel: 2,
+    placeholder: 2,
+    text: 2,
+    role: 1
+  };
+  
+  // Minimum share of the fingerprint a candidate must match to be offered
+  const HEALING_MIN_CONFIDENCE = 0.5;
+  
+  // Candidate offered for the last step that failed in this frame: { element, details, accepted, host }
+  // accepted stays null until the user answers the prompt
+  let pendingHealing = null;
+  
+  /**
+   * Find the element that best matches the action's recorded fingerprint
+   * @returns {{element, details, accepted}|null} null when there is no plausible candidate
+   */
+  function proposeHealing(action) {
+    const root = action.shadow && action.shadow.length > 0 ? resolveShadowRoot(action.shadow) : document;
+    if (!root) return null;
+    
+    const candidate = findHealingCandidate(action.element, root);
+    if (!candidate) return null;
+    
+    console.log('[Recorder] Healing candidate:', Math.round(candidate.confidence * 100) + '%', candidate.matched);
+    
+    const element = candidate.element;
+    return {
+      element,
+      accepted: null,
+      description: action.description || action.element?.text || action.element?.tag || action.type,
+      details: {
+        confidence: candidate.confidence,
+        matched: candidate.matched,
+        changes: {
+          xpath: generateXPath(element),
+          fullXPath: generateFullXPath(element),
+          locators: generateLocators(element),
+          element: getElementInfo(element)
+        }
+      }
+    };
+  }
+  
+  /**
+   * Score every visible element with the recorded tag against the fingerprint
+   * Returns the best match, or null if it is too weak or tied with another element
+   */
+  function findHealingCandidate(fingerprint, root) {
+    if (!fingerprint?.tag) return null;
+    
+    const fields = Object.keys(FINGERPRINT_WEIGHTS).filter(field => fingerprint[field]);
+    const maxScore = fields.reduce((sum, field) => sum + FINGERPRINT_WEIGHTS[field], 0);
+    if (maxScore === 0) return null;
+    
+    const scored = Array.from(root.querySelectorAll(fingerprint.tag))
+      .filter(el => {
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+      })
+      .map(el => {
+        const info = getElementInfo(el);
+        const matched = [];
+        let score = 0;
+        
+        fields.forEach(field => {
+          const recorded = normalizeText(String(fingerprint[field])).toLowerCase();
+          const current = normalizeText(String(info[field] || '')).toLowerCase();
+          if (!current) return;
+          
+          if (recorded === current) {
+            score += FINGERPRINT_WEIGHTS[field];
+            matched.push(field);
+          } else if (field === 'text' && (current.includes(recorded) || recorded.includes(current))) {
+            // Text often gains or loses a word between releases
+            score += FINGERPRINT_WEIGHTS[field] / 2;
+            matched.push(field);
+          }
+        });
+        
+        return { element: el, confidence: score / maxScore, matched };
+      })
+      .sort((a, b) => b.confidence - a.confidence);
+    
+    const [best, runnerUp] = scored;
+    if (!best || best.confidence < HEALING_MIN_CONFIDENCE) return null;
+    if (runnerUp && runnerUp.confidence === best.confidence) return null;
+    
+    return best;
+  }
+  
+  /**
+   * Highlight the pending candidate and show an accept/reject bar on the page
+   * The answer is kept in pendingHealing.accepted for the background to collect
+   */
+  function showHealingPrompt() {
+    const pending = pendingHealing;
+    const element = pending.element;
+    element.scrollIntoView({ block: 'center', inline: 'center' });
+    const rect = element.getBoundingClientRect();
+    
+    const host = document.createElement('div');
+    host.id = '__action-recorder-healing';
+    host.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+    const shadow = host.attachShadow({ mode: 'closed' });
+    
+    const confidence = Math.round(pending.details.confidence * 100);
+    
+    shadow.innerHTML = `
+      <style>
+        .highlight { position: fixed; border: 2px solid #ffb020; background: rgba(255, 176, 32, 0.15); border-radius: 3px; box-shadow: 0 0 0 4px rgba(255, 176, 32, 0.3); }
+        .bar { position: fixed; left: 50%; bottom: 16px; transform: translateX(-50%); display: flex; align-items: center; gap: 8px; max-width: 90vw; padding: 10px 14px; background: #1a1a24; color: #fff; border-radius: 8px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.4); font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; pointer-events: auto; }
+        .text { flex: 1; }
+        button { padding: 6px 12px; border: none; border-radius: 4px; font: inherit; font-weight: 600; cursor: pointer; }
+        .accept { background: #00d26a; color: #fff; }
+        .reject { background: #3a3a4a; color: #fff; }
+      </style>
+      <div class="highlight" style="top: ${rect.top - 4}px; left: ${rect.left - 4}px; width: ${rect.width + 8}px; height: ${rect.height + 8}px;"></div>
+      <div class="bar">
+        <span class="text"></span>
+        <button class="accept">Use this element</button>
+        <button class="reject">Reject</button>
+      </div>
+    `;
+    shadow.querySelector('.text').textContent =
+      `Action Recorder: "${pending.description}" was not found. Highlighted element matches ${confidence}% (${pending.details.matched.join(', ')}).`;
+    
+    document.documentElement.appendChild(host);
+    pending.host = host;
+    
+    const finish = (accepted) => {
+      host.remove();
+      pending.accepted = accepted;
+    };
+    shadow.querySelector('.accept').addEventListener('click', () => finish(true));
+    shadow.querySelector('.reject').addEventListener('click', () => finish(false));
+  }
+  
+  function cancelHealingPrompt() {
+    pendingHealing?.host?.remove();
+    pendingHealing = null;
+  }
+  
+  // ==================== MESSAGE HANDLING ====================
+  
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    switch (message.type) {
+      case 'START_RECORDING':
+        startRecording(!!message.paused);
+        sendResponse({ success: true });
+        break;
+        
+      case 'PAUSE_RECORDING':
+        pauseRecording();
+        sendResponse({ success: true });
+        break;
+        
+      case 'RESUME_RECORDING':
+        resumeRecording();
+        sendResponse({ success: true });
+        break;
+        
+      case 'STOP_RECORDING':
+        stopRecording();
+        sendResponse({ success: true });
         break;
         
       case 'ENTER_ASSERTION_MODE':
-        enterAssertionMode(message.assertionType);
+        enterAssertionMode(message.assertionType, message.options);
         sendResponse({ success: true });
         break;
         
@@ -986,7 +3040,32 @@
         break;
         
       case 'GET_STATUS':
-        sendResponse({ isRecording, isAssertionMode });
+        sendResponse({ isRecording, isPaused, isAssertionMode });
+        break;
+        
+      case 'REPLAY_STEP':
+        // Only the frame the action was recorded in answers
+        if (!isReplayTargetFrame(message.action)) return false;
+        replayStep(message.action, message.timeout, message.heal !== false).then(sendResponse);
+        return true;
+        
+      // Only the frame that offered a healing candidate answers these
+      case 'SHOW_HEALING_PROMPT':
+        if (!pendingHealing) return false;
+        showHealingPrompt();
+        sendResponse({ success: true });
+        break;
+        
+      case 'GET_HEALING_ANSWER':
+        if (!pendingHealing) return false;
+        sendResponse({ accepted: pendingHealing.accepted });
+        if (pendingHealing.accepted !== null) pendingHealing = null;
+        break;
+        
+      case 'CANCEL_HEALING_PROMPT':
+        if (!pendingHealing) return false;
+        cancelHealingPrompt();
+        sendResponse({ success: true });
         break;
     }
     return true;
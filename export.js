@@ -1,4 +1,4 @@
-// Export Utilities - Generate JSON export with all recording details
+// Export Utilities - Generate JSON and test-framework code from recordings
 
 /**
  * Export recording to comprehensive JSON format
@@ -20,12 +20,29 @@ function exportToJSON(recording) {
         ? Math.round((recording.endTime - recording.startTime) / 1000) + 's'
         : null,
       totalActions: recording.actions?.length || 0,
-      exportedAt: new Date().toISOString()
+      exportedAt: new Date().toISOString(),
+      // Console errors and uncaught exceptions seen while recording
+      errors: extractPageErrors(recording.actions || [])
     },
     
+    // Worksheet data rows for parameter-bound actions
+    dataSet: recording.dataRows?.length ? {
+      parameters: recording.parameters || Object.keys(recording.dataRows[0]),
+      rows: recording.dataRows
+    } : null,
+    
     // Page markers summary
     pageMarkers: extractPageMarkers(recording.actions || []),
     
+    // Excel test steps with the actions recorded for each
+    steps: buildStepMapping(recording.steps || [], recording.actions || []),
+    
+    // Locators repaired during replay (audit trail)
+    healingLog: (recording.healingLog || []).map(entry => ({
+      ...entry,
+      timestamp: new Date(entry.timestamp).toISOString()
+    })),
+    
     // All actions with full details
     actions: (recording.actions || []).map((action, index) => formatAction(action, index))
   };
@@ -46,6 +63,39 @@ function extractPageMarkers(actions) {
     }));
 }
 
+/**
+ * List the errors recorded on each action, with the index of the action they followed
+ */
+function extractPageErrors(actions) {
+  return actions.flatMap((action, index) => (action.errors || []).map(error => ({
+    actionIndex: index,
+    kind: error.kind,
+    message: error.message,
+    source: error.source || null,
+    url: error.url || null,
+    timestamp: error.timestamp ? new Date(error.timestamp).toISOString() : null
+  })));
+}
+
+/**
+ * Map each test step to the indexes of the actions and page markers linked to it
+ */
+function buildStepMapping(steps, actions) {
+  return steps.map(step => {
+    const linked = actions
+      .map((action, index) => ({ action, index }))
+      .filter(({ action }) => action.step === step.number);
+    
+    return {
+      number: step.number,
+      description: step.description,
+      expectedResult: step.expectedResult || null,
+      actionIndexes: linked.filter(({ action }) => !isMarkerAction(action)).map(({ index }) => index),
+      pageMarkerIndexes: linked.filter(({ action }) => action.type === 'page-marker').map(({ index }) => index)
+    };
+  });
+}
+
 /**
  * Format a single action with all details
  */
@@ -56,6 +106,34 @@ function formatAction(action, index) {
       index: index,
       type: 'page-marker',
       pageName: action.pageName,
+      step: action.step || null,
+      timestamp: action.timestamp ? new Date(action.timestamp).toISOString() : null
+    };
+  }
+  
+  // Handle pause markers (gaps where nothing was captured)
+  if (action.type === 'pause') {
+    return {
+      index: index,
+      type: 'pause',
+      pausedAt: action.timestamp ? new Date(action.timestamp).toISOString() : null,
+      resumedAt: action.resumedAt ? new Date(action.resumedAt).toISOString() : null,
+      durationMs: action.duration || 0,
+      step: action.step || null
+    };
+  }
+  
+  // Handle tab switches (the tab the following steps run in)
+  if (action.type === 'switch-tab') {
+    return {
+      index: index,
+      type: 'switch-tab',
+      pageId: action.pageId,
+      opened: !!action.opened,
+      openerPageId: action.openerPageId || null,
+      url: action.url || null,
+      description: action.description || null,
+      step: action.step || null,
       timestamp: action.timestamp ? new Date(action.timestamp).toISOString() : null
     };
   }
@@ -67,11 +145,15 @@ function formatAction(action, index) {
       type: 'assertion',
       assertionType: action.assertionType || 'element',
       description: action.description || null,
+      step: action.step || null,
+      pageId: action.pageId || null,
       
       // Locator information
       locator: {
         xpath: action.xpath || null,
-        fullXPath: action.fullXPath || null
+        fullXPath: action.fullXPath || null,
+        best: getRankedLocators(action)[0] || null,
+        candidates: action.locators || []
       },
       
       // Element details
@@ -84,12 +166,24 @@ function formatAction(action, index) {
         ariaLabel: action.element.ariaLabel || null
       } : null,
       
-      // Expected values for text assertions
+      // Expected values; text, URL and title assertions compare by `match`
       expectedValue: action.expectedValue || action.textContent || null,
+      match: action.match || null,
+      attributeName: action.attributeName || null,
+      cssProperty: action.cssProperty || null,
+      checked: action.assertionType === 'checked' ? !!action.checked : null,
+      countSelector: action.countSelector || null,
+      expectedCount: action.expectedCount ?? null,
+      request: action.request || null,
+      expectedStatus: action.expectedStatus ?? null,
+      jsonPath: action.jsonPath || null,
       
       // Context information
       context: buildContextInfo(action),
       
+      screenshot: action.screenshotId ? getScreenshotPath(index) : null,
+      waitFor: action.waitFor || [],
+      network: action.network || [],
       timestamp: action.timestamp ? new Date(action.timestamp).toISOString() : null
     };
   }
@@ -99,11 +193,14 @@ function formatAction(action, index) {
     index: index,
     type: action.type,
     description: action.description || null,
+    step: action.step || null,
     
     // Locator information
     locator: {
       xpath: action.xpath || null,
-      fullXPath: action.fullXPath || null
+      fullXPath: action.fullXPath || null,
+      best: getRankedLocators(action)[0] || null,
+      candidates: action.locators || []
     },
     
     // Element details
@@ -134,14 +231,77 @@ function formatAction(action, index) {
     formatted.selectedText = action.text || '';
   }
   
+  if (action.parameter) {
+    formatted.parameter = action.parameter;
+  }
+  
   if (action.type === 'keypress') {
     formatted.key = action.key || '';
+    if (action.modifiers?.length > 0) formatted.modifiers = action.modifiers;
+  }
+  
+  if (action.type === 'drag') {
+    formatted.dragMode = action.dragMode || 'pointer';
+    formatted.target = action.target ? {
+      xpath: action.target.xpath || null,
+      fullXPath: action.target.fullXPath || null,
+      best: getRankedLocators(action.target)[0] || null,
+      description: action.target.description || null
+    } : null;
+  }
+  
+  if (action.type === 'upload') {
+    formatted.files = action.files || [];
+  }
+  
+  if (action.type === 'capture') {
+    formatted.variable = action.variable;
+    formatted.source = action.source || 'text';
+    formatted.capturedValue = action.capturedValue ?? null;
+  }
+  
+  if (action.type === 'scroll') {
+    formatted.scrollX = action.scrollX || 0;
+    formatted.scrollY = action.scrollY || 0;
   }
   
   if (action.type === 'check') {
     formatted.checked = action.checked || false;
   }
   
+  if (action.type === 'wait') {
+    formatted.durationMs = action.duration || 0;
+  }
+  
+  if (NAVIGATION_STEP_TYPES.includes(action.type)) {
+    formatted.url = action.url || '';
+    formatted.trigger = action.trigger || 'manual';
+  }
+  
+  if (action.manual) {
+    formatted.manual = true;
+  }
+  
+  if (action.pageId) {
+    formatted.pageId = action.pageId;
+  }
+  
+  if (action.opensPage) {
+    formatted.opensPage = action.opensPage;
+  }
+  
+  if (action.screenshotId) {
+    formatted.screenshot = getScreenshotPath(index);
+  }
+  
+  if (action.waitFor?.length > 0) {
+    formatted.waitFor = action.waitFor;
+  }
+  
+  if (action.network?.length > 0) {
+    formatted.network = action.network;
+  }
+  
   return formatted;
 }
 
@@ -201,17 +361,2112 @@ function buildContextInfo(action) {
 
 /**
  * Get best selector for automation frameworks
- * Returns xpath by default, with shadow/iframe context
+ * Returns the highest-ranked locator and its fallbacks, with shadow/iframe context
  */
 function getBestSelector(action) {
+  const [primary, ...fallbacks] = getRankedLocators(action);
   return {
-    primary: action.xpath || action.fullXPath || null,
+    primary: primary?.value || null,
+    fallbacks: fallbacks.map(l => l.value),
     iframe: action.iframe?.map(f => f.selector) || null,
     shadowHosts: action.shadow?.map(s => s.hostXPath) || null
   };
 }
 
-// Make exportToJSON available globally
+// ==================== LOCATORS ====================
+
+// Number of fallback locators kept after the best one in generated code
+const MAX_FALLBACK_LOCATORS = 2;
+
+/**
+ * Unique locators recorded for an action, best first
+ * Recordings without ranked locators fall back to xpath / fullXPath
+ */
+function getRankedLocators(action) {
+  const ranked = (action.locators || []).filter(l => l.unique);
+  if (ranked.length > 0) return ranked;
+  
+  return [
+    action.xpath && { strategy: 'xpath', value: action.xpath },
+    action.fullXPath && { strategy: 'fullXPath', value: action.fullXPath }
+  ].filter(Boolean);
+}
+
+/**
+ * Best locator plus fallbacks, limited to the strategies a framework can express
+ */
+function pickLocators(action, strategies) {
+  return getRankedLocators(action)
+    .filter(l => strategies.includes(l.strategy))
+    .slice(0, 1 + MAX_FALLBACK_LOCATORS);
+}
+
+/**
+ * Build an XPath string literal, using concat() when both quote types appear
+ */
+function toXPathLiteral(text) {
+  if (!text.includes('"')) return `"${text}"`;
+  if (!text.includes("'")) return `'${text}'`;
+  return `concat(${text.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+}
+
+// ==================== PLAYWRIGHT ====================
+
+const PLAYWRIGHT_STRATEGIES = ['testId', 'role', 'css', 'text', 'xpath', 'fullXPath'];
+
+/**
+ * Export recording to a Playwright Test (TypeScript) spec
+ * Page markers become test.step() blocks, iframes become frameLocator() chains
+ * and shadow DOM paths rely on Playwright's built-in shadow piercing
+ */
+function exportToPlaywright(recording) {
+  const actions = recording.actions || [];
+  setExportVariableNames(actions);
+  const dataRows = getDataRows(recording);
+  const testName = recording.name || 'Recorded Test';
+  const usesTabs = actions.some(a => a.type === 'switch-tab');
+  const usesResponses = actions.some(isResponseAssertion);
+  const usesNoErrors = actions.some(isNoErrorsAssertion);
+  const fixtures = usesTabs ? '{ page, context }' : '{ page }';
+  const body = [];
+  
+  // `page` always points at the tab the next step runs in; `pages` keeps every tab by recorded id
+  if (usesTabs) {
+    body.push('const pages: Record<string, Page> = { tab1: page };');
+  }
+  // Values captured by earlier steps, by variable name
+  if (usesVariables(actions)) {
+    body.push('const vars: Record<string, string> = {};');
+  }
+  // Responses that response assertions check, by step
+  if (usesResponses) {
+    body.push('const responses: Record<string, Promise<Response>> = {};');
+  }
+  const mocks = getMockedResponses(actions);
+  if (mocks.length > 0) {
+    body.push('// API responses recorded in mock mode are served instead of the live API, in the order they were recorded');
+    mocks.forEach((responses, i) => body.push(...generatePlaywrightRoute(responses, usesTabs ? 'context' : 'page', i + 1)));
+  }
+  // Console errors and uncaught exceptions since the last no-console-errors assertion
+  if (usesNoErrors) {
+    const scope = usesTabs ? 'context' : 'page';
+    body.push(
+      'const consoleErrors: string[] = [];',
+      `${scope}.on('console', (message) => { if (message.type() === 'error') consoleErrors.push(message.text()); });`,
+      usesTabs
+        ? "context.on('weberror', (webError) => consoleErrors.push(webError.error().message));"
+        : "page.on('pageerror', (error) => consoleErrors.push(error.message));"
+    );
+  }
+  if (recording.url && !startsWithNavigation(actions)) {
+    body.push(`await page.goto(${toJsString(recording.url)});`);
+  }
+  
+  let indent = '';
+  let inStep = false;
+  const openedPages = new Set();
+  const listenedResponses = new Set();
+  
+  actions.forEach((action, index) => {
+    if (action.type === 'page-marker') {
+      if (inStep) body.push('});');
+      body.push('', `await test.step(${toJsString(action.pageName || `Step ${index + 1}`)}, async () => {`);
+      indent = '  ';
+      inStep = true;
+      return;
+    }
+    
+    if (action.type === 'pause') {
+      body.push(`${indent}// ${describePause(action)}`);
+      return;
+    }
+    
+    // Listen for the responses later assertions check before the step that triggers them
+    getTriggeredResponseAssertions(actions, index).forEach(next => {
+      body.push(`${indent}responses.step${next + 1} = ${toPlaywrightResponseWait(actions[next].request)};`);
+      listenedResponses.add(next);
+    });
+    
+    if (action.type === 'wait') {
+      body.push(`${indent}await page.waitForTimeout(${action.duration || 0});`);
+      return;
+    }
+    
+    if (NAVIGATION_STEP_TYPES.includes(action.type)) {
+      body.push(indent + generatePlaywrightNavigation(action));
+      return;
+    }
+    
+    if (action.type === 'switch-tab') {
+      body.push(`${indent}// ${toCommentText(action.description || `Switch to ${action.pageId}`)}`);
+      if (action.opened && !openedPages.has(action.pageId)) {
+        body.push(`${indent}pages.${action.pageId} = await context.waitForEvent('page');`);
+      }
+      body.push(`${indent}page = pages.${action.pageId};`);
+      if (action.opened) body.push(`${indent}await page.waitForLoadState();`);
+      return;
+    }
+    
+    if (action.description) {
+      body.push(`${indent}// ${toCommentText(action.description)}`);
+    }
+    
+    if (isResponseAssertion(action)) {
+      const lines = listenedResponses.has(index)
+        ? generatePlaywrightResponseAssertion(action, `responses.step${index + 1}`)
+        : ['// Skipped response assertion: no step before it to trigger the request'];
+      lines.forEach(line => body.push(indent + line));
+      return;
+    }
+    
+    generatePlaywrightWaits(action).forEach(line => body.push(indent + line));
+    
+    // Listen for the tab and the responses before the step that triggers them, so the events are not missed
+    const opensPage = usesTabs ? action.opensPage : null;
+    if (opensPage) body.push(`${indent}const ${opensPage}Opened = context.waitForEvent('page');`);
+    // Best effort, as in replay: a request the page no longer makes only costs the timeout
+    const requests = getTriggeredRequests(actions, index);
+    if (requests.length > 0) {
+      const responses = requests.map(path => `page.waitForResponse((response) => new RegExp(${toJsString(toRequestPatternSource(path))}).test(response.url()), { timeout: ${REQUEST_WAIT_TIMEOUT} })`);
+      body.push(`${indent}const responses${index + 1} = Promise.all([${responses.join(', ')}]).catch(() => {});`);
+    }
+    generatePlaywrightAction(action, !!dataRows).forEach(line => body.push(indent + line));
+    if (opensPage) {
+      body.push(`${indent}pages.${opensPage} = await ${opensPage}Opened;`);
+      openedPages.add(opensPage);
+    }
+    if (requests.length > 0) body.push(`${indent}await responses${index + 1};`);
+  });
+  
+  if (inStep) body.push('});');
+  
+  const imports = ['test', 'expect', ...(usesTabs ? ['type Page'] : []), ...(usesResponses ? ['type Response'] : [])];
+  const lines = [`import { ${imports.join(', ')} } from '@playwright/test';`, ''];
+  const secrets = getSecretEnvNames(actions);
+  if (secrets.length > 0) {
+    lines.push(`// Masked values are read from environment variables: ${secrets.join(', ')}`, '');
+  }
+  
+  // Data-driven: one test per worksheet data row
+  if (dataRows) {
+    lines.push(
+      `const dataRows: Record<string, string>[] = ${JSON.stringify(dataRows, null, 2)};`,
+      '',
+      'for (const [row, data] of dataRows.entries()) {',
+      `  test(${toJsString(testName)} + \` (row \${row + 1})\`, async (${fixtures}) => {`,
+      ...indentLines(body, '    '),
+      '  });',
+      '}',
+      ''
+    );
+  } else {
+    lines.push(
+      `test(${toJsString(testName)}, async (${fixtures}) => {`,
+      ...indentLines(body, '  '),
+      '});',
+      ''
+    );
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Navigations the page made itself were caused by the previous step, so they are only waited for
+ */
+function generatePlaywrightNavigation(action) {
+  switch (action.type) {
+    case 'reload': return 'await page.reload();';
+    case 'back': return 'await page.goBack();';
+    case 'forward': return 'await page.goForward();';
+  }
+  return isPageNavigation(action)
+    ? `await page.waitForURL(${toJsString(toUrlPrefix(action.url) + '**')});`
+    : `await page.goto(${toJsString(action.url)});`;
+}
+
+/**
+ * Explicit waits for what the page was busy with before the step was recorded.
+ * Requests are waited for around the step that triggered them instead (getTriggeredRequests).
+ * Playwright actions wait for their element to be visible by themselves.
+ */
+function generatePlaywrightWaits(action) {
+  const lines = getStepWaits(action, 'urlChanged')
+    .map(wait => `await page.waitForURL(new RegExp(${toJsString(`^${toUrlPatternSource(wait.url)}`)}));`);
+  
+  // visible=true: the indicator may stay in the DOM, and several may match
+  getStepWaits(action, 'spinnerGone').forEach(wait => {
+    const spinner = buildPlaywrightLocator({ iframe: action.iframe, locators: [{ strategy: 'css', value: `${wait.selector} >> visible=true`, unique: true }] });
+    lines.push(`await expect(${spinner}).toHaveCount(0);`);
+  });
+  
+  return lines;
+}
+
+function toPlaywrightResponseWait(request) {
+  const method = request?.method || 'GET';
+  const url = toUrlPrefix(request?.url);
+  return `page.waitForResponse((response) => response.request().method() === ${toJsString(method)} && response.url().startsWith(${toJsString(url)}))`;
+}
+
+/**
+ * expect() statements for a response assertion; `response` is the promise set up before the triggering step
+ */
+function generatePlaywrightResponseAssertion(action, response) {
+  const lines = [];
+  if (action.expectedStatus) {
+    lines.push(`expect((await ${response}).status()).toBe(${action.expectedStatus});`);
+  }
+  if (action.jsonPath) {
+    const accessor = parseJsonPath(action.jsonPath).map(key => `[${typeof key === 'number' ? key : toJsString(key)}]`).join('');
+    lines.push(`expect((await (await ${response}).json())${accessor}).toEqual(${toJsonLiteral(action.expectedValue)});`);
+  }
+  return lines;
+}
+
+/**
+ * page.route() stub for the responses one endpoint gave in mock mode; other methods on the same URL fall through
+ * An endpoint that answered more than once is served from a queue, one response per request,
+ * and keeps repeating the last one
+ */
+function generatePlaywrightRoute(responses, scope, number) {
+  const [first] = responses;
+  const pattern = toJsString(`^${toRegExpSource(toUrlPrefix(first.url))}([?#]|$)`);
+  const toFulfillment = entry => `{ status: ${entry.status}, contentType: ${toJsString(entry.contentType || 'text/plain')}, body: ${toJsString(entry.responseBody ?? '')} }`;
+  const route = `await ${scope}.route(new RegExp(${pattern}), (route) => route.request().method() === ${toJsString(first.method)}`;
+  
+  if (responses.length === 1) {
+    return [`${route} ? route.fulfill(${toFulfillment(first)}) : route.fallback());`];
+  }
+  const queue = `mock${number}`;
+  return [
+    `const ${queue} = [`,
+    ...responses.map((entry, i) => `  ${toFulfillment(entry)}${i < responses.length - 1 ? ',' : ''}`),
+    '];',
+    `${route} ? route.fulfill(${queue}.length > 1 ? ${queue}.shift() : ${queue}[0]) : route.fallback());`
+  ];
+}
+
+/**
+ * Generate the Playwright statements for a single action
+ * When dataDriven is set, parameter-bound values read from the current data row
+ */
+function generatePlaywrightAction(action, dataDriven = false) {
+  if (assertsWithoutElement(action)) {
+    return [generatePlaywrightPageAssertion(action)];
+  }
+  
+  const locator = buildPlaywrightLocator(action);
+  if (!locator) {
+    return [`// Skipped ${action.type}: no locator recorded`];
+  }
+  
+  const lines = [];
+  if (action.shadow?.some(s => s.shadowMode === 'closed')) {
+    lines.push('// Note: element is inside a closed shadow root, which Playwright cannot pierce');
+  }
+  
+  switch (action.type) {
+    case 'click':
+      lines.push(`await ${locator}.click();`);
+      break;
+    case 'input':
+      lines.push(`await ${locator}.fill(${toPlaywrightValue(action, dataDriven)});`);
+      break;
+    case 'select':
+      lines.push(`await ${locator}.selectOption(${toPlaywrightValue(action, dataDriven)});`);
+      break;
+    case 'check':
+      lines.push(`await ${locator}.${action.checked ? 'check' : 'uncheck'}();`);
+      break;
+    case 'keypress':
+      lines.push(`await ${locator}.press(${toJsString(toKeyCombination(action))});`);
+      break;
+    case 'dblclick':
+      lines.push(`await ${locator}.dblclick();`);
+      break;
+    case 'contextmenu':
+      lines.push(`await ${locator}.click({ button: 'right' });`);
+      break;
+    case 'hover':
+      lines.push(`await ${locator}.hover();`);
+      break;
+    case 'drag': {
+      const target = buildPlaywrightLocator(getDropTargetAction(action));
+      lines.push(target ? `await ${locator}.dragTo(${target});` : '// Skipped drag: no drop target locator recorded');
+      break;
+    }
+    case 'upload':
+      lines.push(`await ${locator}.setInputFiles([${getUploadPaths(action).map(toJsString).join(', ')}]);`);
+      break;
+    case 'scroll':
+      lines.push(`await ${locator}.evaluate((el) => el.scrollTo(${action.scrollX || 0}, ${action.scrollY || 0}));`);
+      break;
+    case 'assertion':
+      lines.push(...generatePlaywrightAssertion(action, locator));
+      break;
+    case 'capture':
+      lines.push(action.source === 'value'
+        ? `vars[${toJsString(action.variable)}] = await ${locator}.inputValue();`
+        : `vars[${toJsString(action.variable)}] = (await ${locator}.innerText()).trim();`);
+      break;
+    default:
+      lines.push(`// Unsupported action type: ${action.type}`);
+  }
+  
+  return lines;
+}
+
+function toPlaywrightValue(action, dataDriven) {
+  if (dataDriven && action.parameter) return `data[${toJsString(action.parameter)}]`;
+  return toPlaywrightText(action.value || '');
+}
+
+// A string literal with {{variable}} references, or the environment variable holding a masked secret
+function toPlaywrightText(text) {
+  const secret = parseSecretPlaceholder(text);
+  if (secret) return `process.env.${toSecretEnvName(secret)} ?? ''`;
+  return joinVariableReferences(text, toJsString, name => `vars[${toJsString(name)}]`);
+}
+
+/**
+ * Generate expect() statements for an assertion action
+ */
+function generatePlaywrightAssertion(action, locator) {
+  const expected = toPlaywrightText(action.expectedValue ?? '');
+  
+  switch (action.assertionType) {
+    case 'hidden':
+      return [`await expect(${locator}).toBeHidden();`];
+    case 'enabled':
+      return [`await expect(${locator}).toBeEnabled();`];
+    case 'disabled':
+      return [`await expect(${locator}).toBeDisabled();`];
+    case 'checked':
+      return [`await expect(${locator}).${action.checked ? '' : 'not.'}toBeChecked();`];
+    case 'attribute':
+      return [`await expect(${locator}).toHaveAttribute(${toJsString(action.attributeName)}, ${expected});`];
+    case 'css':
+      return [`await expect(${locator}).toHaveCSS(${toJsString(action.cssProperty)}, ${expected});`];
+    case 'value':
+      return [`await expect(${getPlaywrightValueTarget(action, locator)}).toHaveValue(${expected});`];
+    case 'text':
+      break;
+    default:
+      return [`await expect(${locator}).toBeVisible();`];
+  }
+  
+  if (action.match) {
+    const matcher = action.match === 'contains' ? 'toContainText' : 'toHaveText';
+    return [`await expect(${locator}).${matcher}(${toPlaywrightExpected(action)});`];
+  }
+  
+  // Text assertions recorded before `match` existed compare form controls by value
+  const recorded = toPlaywrightText(action.expectedValue || action.textContent || '');
+  if (action.shadowInnerElement?.value || ['input', 'textarea', 'select'].includes(action.element?.tag)) {
+    return [`await expect(${getPlaywrightValueTarget(action, locator)}).toHaveValue(${recorded});`];
+  }
+  return [`await expect(${locator}).toContainText(${recorded});`];
+}
+
+/**
+ * Shadow hosts wrapping a form control: assert on the inner control
+ */
+function getPlaywrightValueTarget(action, locator) {
+  return action.shadowInnerElement?.tag ? `${locator}.locator(${toJsString(action.shadowInnerElement.tag)})` : locator;
+}
+
+/**
+ * URL, title, no-console-errors and element-count assertions, which do not target the recorded element
+ */
+function generatePlaywrightPageAssertion(action) {
+  if (action.assertionType === 'noErrors') {
+    return "expect(consoleErrors.splice(0), 'console errors').toEqual([]);";
+  }
+  if (action.assertionType === 'count') {
+    const scope = buildPlaywrightLocator({ iframe: action.iframe, locators: [{ strategy: 'css', value: action.countSelector, unique: true }] });
+    return `await expect(${scope}).toHaveCount(${action.expectedCount ?? 0});`;
+  }
+  
+  const matcher = action.assertionType === 'title' ? 'toHaveTitle' : 'toHaveURL';
+  const expected = action.match === 'contains'
+    ? toPlaywrightContainsPattern(action.expectedValue ?? '')
+    : toPlaywrightExpected(action);
+  return `await expect(page).${matcher}(${expected});`;
+}
+
+// A RegExp finding the text anywhere; {{variable}} and secret values are escaped when the test runs
+function toPlaywrightContainsPattern(text) {
+  const escape = value => value + ".replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&')";
+  const secret = parseSecretPlaceholder(text);
+  if (secret) return `new RegExp(${escape(`(process.env.${toSecretEnvName(secret)} ?? '')`)})`;
+  return `new RegExp(${joinVariableReferences(text, part => toJsString(toRegExpSource(part)), name => escape(`vars[${toJsString(name)}]`))})`;
+}
+
+function toPlaywrightExpected(action) {
+  return action.match === 'regex'
+    ? `new RegExp(${toPlaywrightText(action.expectedValue ?? '')})`
+    : toPlaywrightText(action.expectedValue ?? '');
+}
+
+/**
+ * Build a Playwright locator expression (page.frameLocator(...).locator(...))
+ * The best recorded locator is combined with its fallbacks through .or()
+ */
+function buildPlaywrightLocator(action) {
+  let chain = 'page';
+  
+  (action.iframe || []).forEach(frame => {
+    chain += `.frameLocator(${toJsString(toFrameLocatorSelector(frame))})`;
+  });
+  
+  // Shadow DOM: anchor on the outermost host, then descend through each shadow root.
+  // Playwright CSS selectors pierce open shadow roots, XPath does not.
+  if (action.shadow && action.shadow.length > 0) {
+    const outer = action.shadow[0];
+    let hostSelector = outer.hostTag || '*';
+    if (outer.hostId) {
+      hostSelector = `${outer.hostTag || ''}[id="${outer.hostId}"]`;
+    } else if (outer.hostXPath) {
+      hostSelector = toPlaywrightSelector(outer.hostXPath);
+    }
+    chain += `.locator(${toJsString(hostSelector)})`;
+    
+    // Intermediate levels lead to the next host; the innermost level is the target itself
+    action.shadow.slice(0, -1).forEach(level => {
+      const css = innerXPathToCss(level.innerXPath);
+      if (css) chain += `.locator(${toJsString(css)})`;
+    });
+    
+    // XPath does not pierce shadow roots
+    const locators = pickLocators(action, ['testId', 'role', 'css', 'text']);
+    if (locators.length > 0) return combinePlaywrightLocators(chain, locators);
+    
+    const css = innerXPathToCss(action.shadow[action.shadow.length - 1].innerXPath) || action.element?.tag;
+    return css ? `${chain}.locator(${toJsString(css)})` : chain;
+  }
+  
+  const locators = pickLocators(action, PLAYWRIGHT_STRATEGIES);
+  if (locators.length === 0) return null;
+  
+  return combinePlaywrightLocators(chain, locators);
+}
+
+/**
+ * e.g. page.getByTestId('save').or(page.getByRole('button', { name: 'Save', exact: true }))
+ */
+function combinePlaywrightLocators(scope, locators) {
+  return locators
+    .map(locator => `${scope}.${toPlaywrightLocatorCall(locator)}`)
+    .reduce((combined, fallback) => `${combined}.or(${fallback})`);
+}
+
+function toPlaywrightLocatorCall(locator) {
+  switch (locator.strategy) {
+    case 'testId':
+      // getByTestId() reads Playwright's testIdAttribute, which defaults to data-testid
+      return locator.attribute === 'data-testid'
+        ? `getByTestId(${toJsString(locator.testId)})`
+        : `locator(${toJsString(locator.value)})`;
+    case 'role':
+      return `getByRole(${toJsString(locator.role)}, { name: ${toJsString(locator.name)}, exact: true })`;
+    case 'text':
+      return `getByText(${toJsString(locator.text)}, { exact: true })`;
+    default:
+      return `locator(${toJsString(toPlaywrightSelector(locator.value))})`;
+  }
+}
+
+/**
+ * Convert a recorded iframe[].playwrightSelector into a frameLocator() selector
+ * e.g. frame[name="x"] -> iframe[name="x"], frame[url*="/p"] -> iframe[src*="/p"]
+ */
+function toFrameLocatorSelector(frame) {
+  if (frame.playwrightSelector) {
+    return frame.playwrightSelector
+      .replace(/^frame\[url\*=/, 'iframe[src*=')
+      .replace(/^frame\b/, 'iframe');
+  }
+  
+  if (frame.selector) return toPlaywrightSelector(frame.selector);
+  
+  return `iframe >> nth=${frame.index || 0}`;
+}
+
+/**
+ * Prefix XPath selectors that Playwright would not auto-detect
+ */
+function toPlaywrightSelector(selector) {
+  if (selector.startsWith('//')) return selector;
+  if (/^\(?\//.test(selector)) return `xpath=${selector}`;
+  return selector;
+}
+
+/**
+ * Convert the simple inner XPath recorded inside a shadow root into CSS
+ * e.g. *[@id="x"]/div/span[2] -> [id="x"] > div > span:nth-of-type(2)
+ * Returns null when a step cannot be expressed in CSS
+ */
+function innerXPathToCss(innerXPath) {
+  if (!innerXPath) return null;
+  
+  const steps = innerXPath.split('/').filter(Boolean);
+  const cssSteps = [];
+  
+  for (const step of steps) {
+    const match = step.match(/^(\*|[a-zA-Z][\w-]*)(?:\[@id="([^"]*)"\])?(?:\[(\d+)\])?$/);
+    if (!match) return null;
+    
+    const [, tag, id, position] = match;
+    let css = tag === '*' ? '' : tag;
+    if (id) css += `[id="${id}"]`;
+    if (position) css += `:nth-of-type(${position})`;
+    cssSteps.push(css || '*');
+  }
+  
+  return cssSteps.join(' > ') || null;
+}
+
+// ==================== SELENIUM ====================
+
+// Recorded KeyboardEvent.key values mapped to Selenium's Keys constants (same names in Python and Java)
+const SELENIUM_KEYS = {
+  'Enter': 'ENTER',
+  'Tab': 'TAB',
+  'Escape': 'ESCAPE',
+  'Backspace': 'BACK_SPACE',
+  'Delete': 'DELETE',
+  ' ': 'SPACE',
+  'ArrowUp': 'ARROW_UP',
+  'ArrowDown': 'ARROW_DOWN',
+  'ArrowLeft': 'ARROW_LEFT',
+  'ArrowRight': 'ARROW_RIGHT',
+  'Home': 'HOME',
+  'End': 'END',
+  'PageUp': 'PAGE_UP',
+  'PageDown': 'PAGE_DOWN',
+  'Control': 'CONTROL',
+  'Alt': 'ALT',
+  'Shift': 'SHIFT',
+  'Meta': 'META',
+  'F1': 'F1',
+  'F2': 'F2',
+  'F3': 'F3',
+  'F4': 'F4',
+  'F5': 'F5',
+  'F6': 'F6',
+  'F7': 'F7',
+  'F8': 'F8',
+  'F9': 'F9',
+  'F10': 'F10',
+  'F11': 'F11',
+  'F12': 'F12'
+};
+
+// Selenium has no role locator; text locators are translated to XPath
+const SELENIUM_STRATEGIES = ['testId', 'css', 'text', 'xpath', 'fullXPath'];
+
+// Selenium waits for a step's requests with Resource Timing: the clock is read before the triggering step,
+// then each URL pattern needs an entry that started after it (entries are added once the response has arrived).
+// The page's resource timing buffer stops at 250 entries, so the clock script also starts a PerformanceObserver
+// in every same-origin frame; the check reads both, which covers documents loaded after the step as well.
+const REQUEST_CLOCK_SCRIPT = [
+  'const observe = (win) => {',
+  'try { if (!win.__observedRequests) { const seen = win.__observedRequests = [];',
+  "new win.PerformanceObserver(list => list.getEntries().forEach(entry => seen.push({ name: entry.name, start: win.performance.timeOrigin + entry.startTime }))).observe({ type: 'resource' }); } } catch (e) {}",
+  'for (let i = 0; i < win.frames.length; i++) observe(win.frames[i]); };',
+  'observe(window.top);',
+  'return Date.now();'
+].join(' ');
+const REQUESTS_DONE_SCRIPT = [
+  'const [since, patterns] = arguments;',
+  'const entries = [];',
+  'const collect = (win) => {',
+  "try { entries.push(...(win.__observedRequests || []), ...win.performance.getEntriesByType('resource').map(entry => ({ name: entry.name, start: win.performance.timeOrigin + entry.startTime }))); } catch (e) {}",
+  'for (let i = 0; i < win.frames.length; i++) collect(win.frames[i]); };',
+  'collect(window.top);',
+  'return patterns.every(pattern => entries.some(entry => entry.start >= since && new RegExp(pattern).test(entry.name)));'
+].join(' ');
+// How long exports wait for a step's requests before moving on
+const REQUEST_WAIT_TIMEOUT = 10000;
+
+// Selenium cannot read response bodies, so response assertions wrap the page's fetch and XMLHttpRequest
+// before the triggering step and look the response up afterwards. `value` is the JSON text at the path.
+// Installs the recorder once per page and returns the time to pass to FIND_RESPONSE_SCRIPT as `since`,
+// so each assertion only sees requests made from the step that triggers it on
+const RESPONSE_RECORDER_SCRIPT = [
+  'if (!window.__recordedResponses) {',
+  'window.__recordedResponses = [];',
+  'const record = (method, url, startedAt, status, body) => window.__recordedResponses.push({ method: String(method).toUpperCase(), url: new URL(url, location.href).href, startedAt, status, body });',
+  'const fetch = window.fetch;',
+  'window.fetch = async function (input, init) {',
+  "const startedAt = Date.now(); const response = await fetch.apply(this, arguments); const method = (init && init.method) || (input instanceof Request ? input.method : 'GET');",
+  'response.clone().text().then(body => record(method, response.url, startedAt, response.status, body), () => {}); return response; };',
+  'const open = XMLHttpRequest.prototype.open;',
+  'XMLHttpRequest.prototype.open = function (method, url) {',
+  "const startedAt = Date.now(); this.addEventListener('loadend', () => record(method, this.responseURL || url, startedAt, this.status, ['', 'text'].includes(this.responseType) ? this.responseText : JSON.stringify(this.response)));",
+  'return open.apply(this, arguments); };',
+  '}',
+  'return Date.now();'
+].join(' ');
+const FIND_RESPONSE_SCRIPT = [
+  'const [since, method, url, path] = arguments;',
+  'const response = (window.__recordedResponses || []).find(r => r.startedAt >= since && r.method === method && r.url.split(/[?#]/)[0] === url);',
+  'if (!response) return null;',
+  'let value;',
+  'try { value = path.reduce((node, key) => (node == null ? undefined : node[key]), JSON.parse(response.body)); } catch (e) {}',
+  'return { status: response.status, value: value === undefined ? null : JSON.stringify(value) };'
+].join(' ');
+
+/**
+ * Export recording to a Selenium Python script
+ * Uses explicit waits for every step, switch_to.frame sequences for iframes
+ * and shadow_root traversal for shadow DOM elements
+ */
+function exportToSeleniumPython(recording) {
+  const actions = recording.actions || [];
+  setExportVariableNames(actions);
+  const dataRows = getDataRows(recording);
+  const usesShadow = actions.some(a => a.shadow && a.shadow.length > 0);
+  const usesFallbacks = actions.some(usesSeleniumFallbacks);
+  const usesWait = actions.some(a => a.type === 'wait');
+  const usesTabs = actions.some(a => a.type === 'switch-tab');
+  const usesActionChains = actions.some(a => POINTER_ACTION_TYPES.includes(a.type));
+  const usesRegex = actions.some(a => isRegexAssertion(a) && a.assertionType !== 'url');
+  const usesRequestWaits = actions.some(a => getStepWaits(a, 'networkIdle').length > 0);
+  const usesResponses = actions.some(isResponseAssertion);
+  const usesNoErrors = actions.some(isNoErrorsAssertion);
+  const indent = '    ';
+  
+  const lines = [
+    `# ${toCommentText(recording.name || 'Recorded Test')}`,
+    '# Generated by Action Recorder',
+    'import os',
+    ...(usesRegex ? ['import re'] : []),
+    ...(usesWait ? ['import time'] : []),
+    '',
+    'from selenium import webdriver',
+    ...(usesRequestWaits ? ['from selenium.common.exceptions import TimeoutException'] : []),
+    ...(usesActionChains ? ['from selenium.webdriver.common.action_chains import ActionChains'] : []),
+    'from selenium.webdriver.common.by import By',
+    'from selenium.webdriver.common.keys import Keys',
+    'from selenium.webdriver.support import expected_conditions as EC',
+    'from selenium.webdriver.support.ui import Select, WebDriverWait',
+    '',
+    '# Set SELENIUM_REMOTE_URL to run against a Selenium Grid',
+    'options = webdriver.ChromeOptions()',
+    ...(usesNoErrors ? ['options.set_capability("goog:loggingPrefs", {"browser": "SEVERE"})'] : []),
+    'remote_url = os.environ.get("SELENIUM_REMOTE_URL")',
+    ''
+  ];
+  
+  const secrets = getSecretEnvNames(actions);
+  if (secrets.length > 0) {
+    lines.push(`# Masked values are read from environment variables: ${secrets.join(', ')}`, '');
+  }
+  
+  if (dataRows) {
+    lines.push(`DATA_ROWS = ${JSON.stringify(dataRows, null, 4)}`, '');
+  }
+  
+  const helpers = [];
+  if (usesShadow) {
+    helpers.push(
+      '# Wait for an element inside a shadow root (shadow roots only support CSS selectors)',
+      'def find_in_shadow(wait, host, css_selector):',
+      '    return wait.until(lambda d: host.shadow_root.find_element(By.CSS_SELECTOR, css_selector))'
+    );
+  }
+  if (usesFallbacks) {
+    if (helpers.length > 0) helpers.push('', '');
+    helpers.push(
+      '# Wait for whichever of the fallback locators matches first',
+      'def find_first(wait, condition, *locators):',
+      '    return wait.until(EC.any_of(*(condition(locator) for locator in locators)))'
+    );
+  }
+  if (usesRequestWaits) {
+    if (helpers.length > 0) helpers.push('', '');
+    helpers.push(
+      '# Wait until each URL pattern was requested after `since` and its response has arrived.',
+      '# Best effort, as in replay: a request the page no longer makes only costs the timeout',
+      'def wait_for_requests(wait, since, *patterns):',
+      '    try:',
+      `        wait.until(lambda d: d.execute_script(${toQuotedString(REQUESTS_DONE_SCRIPT)}, since, list(patterns)))`,
+      '    except TimeoutException:',
+      '        pass'
+    );
+  }
+  if (usesResponses) {
+    if (helpers.length > 0) helpers.push('', '');
+    helpers.push(
+      '# Response assertions: record the responses of the page\'s fetch/XHR calls, then look them up',
+      `RESPONSE_RECORDER_SCRIPT = ${toQuotedString(RESPONSE_RECORDER_SCRIPT)}`,
+      `FIND_RESPONSE_SCRIPT = ${toQuotedString(FIND_RESPONSE_SCRIPT)}`,
+      '',
+      '',
+      '# Wait for the response to a request made after `since`; "value" is the JSON text at json_path',
+      'def find_response(wait, since, method, url, *json_path):',
+      '    return wait.until(lambda d: d.execute_script(FIND_RESPONSE_SCRIPT, since, method, url, list(json_path)))'
+    );
+  }
+  if (usesNoErrors) {
+    if (helpers.length > 0) helpers.push('', '');
+    helpers.push(
+      '# Fail on errors the browser console logged since the last check (reading the log clears it)',
+      'def assert_no_console_errors(driver):',
+      '    errors = [entry["message"] for entry in driver.get_log("browser") if entry["level"] == "SEVERE"]',
+      '    assert not errors, f"Console errors: {errors}"'
+    );
+  }
+  if (helpers.length > 0) {
+    lines.push('', ...helpers, '', '');
+  }
+  
+  // One browser session: driver setup, the recorded steps and teardown
+  const session = [
+    'driver = webdriver.Remote(command_executor=remote_url, options=options) if remote_url else webdriver.Chrome(options=options)',
+    'wait = WebDriverWait(driver, 10)',
+    ...(usesVariables(actions) ? ['variables = {}'] : []),
+    'try:'
+  ];
+  if (usesTabs) {
+    session.push(`${indent}windows = {"tab1": driver.current_window_handle}`);
+  }
+  if (recording.url && !startsWithNavigation(actions)) {
+    session.push(`${indent}driver.get(${toQuotedString(recording.url)})`);
+  }
+  
+  let currentFrameKey = '';
+  const recordedResponses = new Set();
+  
+  actions.forEach((action, index) => {
+    if (action.type === 'page-marker') {
+      session.push('', `${indent}# ===== ${toCommentText(action.pageName || 'Page')} =====`);
+      return;
+    }
+    
+    if (action.type === 'pause') {
+      session.push('', `${indent}# ${describePause(action)}`);
+      return;
+    }
+    
+    if (action.type === 'wait') {
+      session.push('', `${indent}time.sleep(${(action.duration || 0) / 1000})`);
+      return;
+    }
+    
+    // A new page always starts in the top-level document
+    if (NAVIGATION_STEP_TYPES.includes(action.type)) {
+      session.push('', indent + generateSeleniumPythonNavigation(action));
+      currentFrameKey = '';
+      return;
+    }
+    
+    // A newly opened tab is whichever window handle is not known yet
+    if (action.type === 'switch-tab') {
+      session.push('', `${indent}# ${toCommentText(action.description || `Switch to ${action.pageId}`)}`);
+      if (action.opened) {
+        session.push(`${indent}windows[${toQuotedString(action.pageId)}] = wait.until(lambda d: next((h for h in d.window_handles if h not in windows.values()), None))`);
+      }
+      session.push(`${indent}driver.switch_to.window(windows[${toQuotedString(action.pageId)}])`);
+      currentFrameKey = '';
+      return;
+    }
+    
+    session.push('');
+    if (action.description) {
+      session.push(`${indent}# ${toCommentText(action.description)}`);
+    }
+    
+    // Switch frame context when this action lives in a different frame
+    const frameTargets = getSeleniumFrameTargets(action);
+    const frameKey = JSON.stringify(frameTargets);
+    if (frameKey !== currentFrameKey) {
+      if (currentFrameKey) session.push(`${indent}driver.switch_to.default_content()`);
+      frameTargets.forEach(target => {
+        session.push(`${indent}wait.until(EC.frame_to_be_available_and_switch_to_it(${toPythonFrameTarget(target)}))`);
+      });
+      currentFrameKey = frameTargets.length > 0 ? frameKey : '';
+    }
+    
+    if (isResponseAssertion(action)) {
+      const lines = recordedResponses.has(index)
+        ? generatePythonResponseAssertion(action)
+        : ['# Skipped response assertion: no step before it to trigger the request'];
+      lines.forEach(line => session.push(indent + line));
+      return;
+    }
+    
+    generatePythonWaits(action).forEach(line => session.push(indent + line));
+    
+    // Note the time before the step that triggers the next step's requests, then wait for them after it
+    const requests = getTriggeredRequests(actions, index);
+    if (requests.length > 0) session.push(`${indent}since = driver.execute_script(${toQuotedString(REQUEST_CLOCK_SCRIPT)})`);
+    const responseAssertions = getTriggeredResponseAssertions(actions, index);
+    if (responseAssertions.length > 0) {
+      session.push(`${indent}responses_since = driver.execute_script(RESPONSE_RECORDER_SCRIPT)`);
+      responseAssertions.forEach(next => recordedResponses.add(next));
+    }
+    generateSeleniumPythonAction(action, !!dataRows).forEach(line => session.push(indent + line));
+    if (requests.length > 0) session.push(`${indent}wait_for_requests(wait, since, ${requests.map(path => toQuotedString(toRequestPatternSource(path))).join(', ')})`);
+  });
+  
+  session.push('finally:', `${indent}driver.quit()`);
+  
+  // Data-driven: run the session once per worksheet data row
+  if (dataRows) {
+    lines.push(
+      ...(helpers.length > 0 ? [] : ['']),
+      'def run_test(data):',
+      ...indentLines(session, indent),
+      '',
+      '',
+      'for data in DATA_ROWS:',
+      `${indent}run_test(data)`,
+      ''
+    );
+  } else {
+    lines.push(...session, '');
+  }
+  
+  return lines.join('\n');
+}
+
+function generateSeleniumPythonNavigation(action) {
+  switch (action.type) {
+    case 'reload': return 'driver.refresh()';
+    case 'back': return 'driver.back()';
+    case 'forward': return 'driver.forward()';
+  }
+  return isPageNavigation(action)
+    ? `wait.until(EC.url_contains(${toQuotedString(toUrlPrefix(action.url))}))`
+    : `driver.get(${toQuotedString(action.url)})`;
+}
+
+/**
+ * Explicit waits for what the page was busy with before the step was recorded
+ * (elements that appeared are covered by the visibility wait in the step itself)
+ */
+function generatePythonWaits(action) {
+  return [
+    ...getStepWaits(action, 'urlChanged').map(wait => `wait.until(EC.url_matches(${toQuotedString(`^${toUrlPatternSource(wait.url)}`)}))`),
+    ...getStepWaits(action, 'spinnerGone').map(wait => `wait.until(EC.invisibility_of_element_located((By.CSS_SELECTOR, ${toQuotedString(wait.selector)})))`)
+  ];
+}
+
+function generatePythonResponseAssertion(action) {
+  const path = parseJsonPath(action.jsonPath).map(key => (typeof key === 'number' ? key : toQuotedString(key)));
+  const args = [toQuotedString(action.request?.method || 'GET'), toQuotedString(toUrlPrefix(action.request?.url)), ...path];
+  const lines = [`response = find_response(wait, responses_since, ${args.join(', ')})`];
+  if (action.expectedStatus) {
+    lines.push(`assert response["status"] == ${action.expectedStatus}, f"Expected status ${action.expectedStatus}, got {response['status']}"`);
+  }
+  if (action.jsonPath) {
+    lines.push(`assert response["value"] == ${toQuotedString(action.expectedValue ?? '')}, ${toQuotedString(`Expected ${action.jsonPath} to be ${action.expectedValue}`)}`);
+  }
+  return lines;
+}
+
+/**
+ * Generate the Python statements for a single action
+ * When dataDriven is set, parameter-bound values read from the current data row
+ */
+function generateSeleniumPythonAction(action, dataDriven = false) {
+  if (assertsWithoutElement(action)) {
+    return [generatePythonPageAssertion(action)];
+  }
+  
+  // Hidden elements may not exist at all, so wait on the locator rather than an element
+  const [hiddenLocator] = isUnlocatedHiddenAssertion(action) ? pickLocators(action, SELENIUM_STRATEGIES).map(toSeleniumLocator) : [];
+  if (hiddenLocator) {
+    return [`wait.until(EC.invisibility_of_element_located((By.${hiddenLocator.type === 'css' ? 'CSS_SELECTOR' : 'XPATH'}, ${toQuotedString(hiddenLocator.value)})))`];
+  }
+  
+  const condition = {
+    clickable: 'element_to_be_clickable',
+    present: 'presence_of_element_located',
+    visible: 'visibility_of_element_located'
+  }[getSeleniumWaitCondition(action)];
+  const lines = generatePythonLocate(action, condition);
+  if (!lines) {
+    return [`# Skipped ${action.type}: no locator recorded`];
+  }
+  
+  switch (action.type) {
+    case 'click':
+      lines.push('element.click()');
+      break;
+    case 'input':
+      lines.push('element.clear()', `element.send_keys(${toPythonValue(action, dataDriven)})`);
+      break;
+    case 'select':
+      lines.push(`Select(element).select_by_value(${toPythonValue(action, dataDriven)})`);
+      break;
+    case 'check':
+      lines.push(`if ${action.checked ? 'not ' : ''}element.is_selected():`, '    element.click()');
+      break;
+    case 'keypress':
+      lines.push(`element.send_keys(${[...(action.modifiers || []), action.key].map(toSeleniumKey).join(' + ')})`);
+      break;
+    case 'dblclick':
+      lines.push('ActionChains(driver).double_click(element).perform()');
+      break;
+    case 'contextmenu':
+      lines.push('ActionChains(driver).context_click(element).perform()');
+      break;
+    case 'hover':
+      lines.push('ActionChains(driver).move_to_element(element).perform()');
+      break;
+    case 'drag': {
+      const targetLines = generatePythonLocate(getDropTargetAction(action), 'visibility_of_element_located');
+      if (!targetLines) return ['# Skipped drag: no drop target locator recorded'];
+      lines.push('ActionChains(driver).click_and_hold(element).perform()', ...targetLines, 'ActionChains(driver).move_to_element(element).release().perform()');
+      break;
+    }
+    case 'upload':
+      lines.push(`element.send_keys("\\n".join(os.path.abspath(path) for path in [${getUploadPaths(action).map(toQuotedString).join(', ')}]))`);
+      break;
+    case 'scroll':
+      lines.push(`driver.execute_script("arguments[0].scrollTo(arguments[1], arguments[2])", element, ${action.scrollX || 0}, ${action.scrollY || 0})`);
+      break;
+    case 'assertion':
+      lines.push(...generatePythonAssertion(action));
+      break;
+    case 'capture':
+      lines.push(`variables[${toQuotedString(action.variable)}] = ${action.source === 'value' ? 'element.get_attribute("value")' : 'element.text.strip()'}`);
+      break;
+    default:
+      return [`# Unsupported action type: ${action.type}`];
+  }
+  
+  return lines;
+}
+
+/**
+ * Assert on the located `element`
+ */
+function generatePythonAssertion(action) {
+  const target = action.description || action.xpath;
+  const expected = toPythonText(action.expectedValue ?? '');
+  
+  switch (action.assertionType) {
+    case 'hidden':
+      return ['wait.until(EC.invisibility_of_element(element))'];
+    case 'enabled':
+      return [`assert element.is_enabled(), ${toQuotedString(`Element is disabled: ${target}`)}`];
+    case 'disabled':
+      return [`assert not element.is_enabled(), ${toQuotedString(`Element is enabled: ${target}`)}`];
+    case 'checked':
+      return [`assert ${action.checked ? '' : 'not '}element.is_selected(), ${toQuotedString(`Element is ${action.checked ? 'unchecked' : 'checked'}: ${target}`)}`];
+    case 'attribute':
+      return [`assert element.get_attribute(${toQuotedString(action.attributeName)}) == ${expected}`];
+    case 'css':
+      return [`assert element.value_of_css_property(${toQuotedString(action.cssProperty)}) == ${expected}`];
+    case 'value':
+      return [...findPythonInnerControl(action), `assert element.get_attribute("value") == ${expected}`];
+    case 'text':
+      break;
+    default:
+      return [`assert element.is_displayed(), ${toQuotedString(`Element not visible: ${target}`)}`];
+  }
+  
+  if (action.match === 'regex') return [`assert re.search(${expected}, element.text), ${toQuotedString(`Text does not match: ${action.expectedValue}`)}`];
+  if (action.match === 'equals') return [`assert element.text.strip() == ${expected}`];
+  if (action.match) return [`assert ${expected} in element.text`];
+  
+  // Text assertions recorded before `match` existed compare form controls by value
+  const recorded = toPythonText(action.expectedValue || action.textContent || '');
+  if (action.shadowInnerElement?.value && action.shadowInnerElement.tag) {
+    return [...findPythonInnerControl(action), `assert element.get_attribute("value") == ${recorded}`];
+  }
+  if (['input', 'textarea', 'select'].includes(action.element?.tag)) {
+    return [`assert element.get_attribute("value") == ${recorded}`];
+  }
+  return [`assert ${recorded} in element.text`];
+}
+
+function findPythonInnerControl(action) {
+  return action.shadowInnerElement?.tag
+    ? [`element = find_in_shadow(wait, element, ${toQuotedString(action.shadowInnerElement.tag)})`]
+    : [];
+}
+
+/**
+ * URL, title and element-count assertions wait until the page satisfies them; no-console-errors assertions read the browser log
+ */
+function generatePythonPageAssertion(action) {
+  const expected = toPythonText(action.expectedValue ?? '');
+  
+  if (action.assertionType === 'noErrors') {
+    return 'assert_no_console_errors(driver)';
+  }
+  if (action.assertionType === 'count') {
+    return `wait.until(lambda d: len(d.find_elements(By.CSS_SELECTOR, ${toQuotedString(action.countSelector)})) == ${action.expectedCount ?? 0})`;
+  }
+  if (action.assertionType === 'url') {
+    const condition = { regex: 'url_matches', contains: 'url_contains' }[action.match] || 'url_to_be';
+    return `wait.until(EC.${condition}(${expected}))`;
+  }
+  if (action.match === 'regex') {
+    return `wait.until(lambda d: re.search(${expected}, d.title))`;
+  }
+  return `wait.until(EC.${action.match === 'contains' ? 'title_contains' : 'title_is'}(${expected}))`;
+}
+
+/**
+ * Locate the action's element with an explicit wait, traversing shadow roots if needed
+ */
+function generatePythonLocate(action, condition) {
+  if (action.shadow && action.shadow.length > 0) {
+    const host = getShadowHostLocator(action.shadow[0]);
+    const by = host.type === 'xpath' ? 'By.XPATH' : 'By.CSS_SELECTOR';
+    const lines = [`element = wait.until(EC.presence_of_element_located((${by}, ${toQuotedString(host.value)})))`];
+    action.shadow.forEach((level, i) => {
+      const css = getShadowLevelCss(action, i);
+      lines.push(`element = find_in_shadow(wait, element, ${toQuotedString(css)})`);
+    });
+    return lines;
+  }
+  
+  const locators = pickLocators(action, SELENIUM_STRATEGIES).map(toSeleniumLocator);
+  if (locators.length === 0) return null;
+  
+  const targets = locators.map(l => `(By.${l.type === 'css' ? 'CSS_SELECTOR' : 'XPATH'}, ${toQuotedString(l.value)})`);
+  if (targets.length === 1) {
+    return [`element = wait.until(EC.${condition}(${targets[0]}))`];
+  }
+  return [`element = find_first(wait, EC.${condition}, ${targets.join(', ')})`];
+}
+
+function toPythonValue(action, dataDriven) {
+  if (dataDriven && action.parameter) return `data[${toQuotedString(action.parameter)}]`;
+  return toPythonText(action.value || '');
+}
+
+// A string literal with {{variable}} references, or the environment variable holding a masked secret
+function toPythonText(text) {
+  const secret = parseSecretPlaceholder(text);
+  if (secret) return `os.environ[${toQuotedString(toSecretEnvName(secret))}]`;
+  return joinVariableReferences(text, toQuotedString, name => `variables[${toQuotedString(name)}]`);
+}
+
+function toPythonFrameTarget(target) {
+  if (target.type === 'xpath') return `(By.XPATH, ${toQuotedString(target.value)})`;
+  if (target.type === 'index') return String(target.value);
+  return toQuotedString(target.value);
+}
+
+/**
+ * Export recording to a Selenium Java class
+ * Uses explicit waits for every step, switchTo().frame sequences for iframes
+ * and getShadowRoot() traversal for shadow DOM elements
+ */
+function exportToSeleniumJava(recording) {
+  const actions = recording.actions || [];
+  setExportVariableNames(actions);
+  const dataRows = getDataRows(recording);
+  const usesShadow = actions.some(a => a.shadow && a.shadow.length > 0);
+  const usesFallbacks = actions.some(usesSeleniumFallbacks);
+  const usesTabs = actions.some(a => a.type === 'switch-tab');
+  const usesActionChains = actions.some(a => POINTER_ACTION_TYPES.includes(a.type));
+  const usesUpload = actions.some(a => a.type === 'upload');
+  const usesRegex = actions.some(a => isRegexAssertion(a) && a.assertionType !== 'url');
+  const usesVars = usesVariables(actions);
+  const usesRequestWaits = actions.some(a => getStepWaits(a, 'networkIdle').length > 0);
+  const usesResponses = actions.some(isResponseAssertion);
+  const usesNoErrors = actions.some(isNoErrorsAssertion);
+  const className = toJavaClassName(recording.name);
+  const indent = '            ';
+  
+  const lines = [
+    `// ${toCommentText(recording.name || 'Recorded Test')}`,
+    '// Generated by Action Recorder',
+    ...(usesUpload ? ['import java.io.File;'] : []),
+    'import java.net.URL;',
+    'import java.time.Duration;',
+    ...(usesTabs || usesVars ? ['import java.util.HashMap;'] : []),
+    ...(dataRows || usesRequestWaits || usesResponses || usesNoErrors ? ['import java.util.List;'] : []),
+    ...(dataRows || usesTabs || usesVars || usesResponses || usesNoErrors ? ['import java.util.Map;'] : []),
+    ...(usesFallbacks ? ['import java.util.function.Function;'] : []),
+    ...(usesNoErrors ? ['import java.util.logging.Level;'] : []),
+    ...(usesRegex ? ['import java.util.regex.Pattern;'] : []),
+    '',
+    'import org.openqa.selenium.*;',
+    'import org.openqa.selenium.chrome.ChromeDriver;',
+    'import org.openqa.selenium.chrome.ChromeOptions;',
+    ...(usesActionChains ? ['import org.openqa.selenium.interactions.Actions;'] : []),
+    ...(usesNoErrors ? ['import org.openqa.selenium.logging.LogEntry;', 'import org.openqa.selenium.logging.LogType;'] : []),
+    'import org.openqa.selenium.remote.RemoteWebDriver;',
+    ...(usesFallbacks ? ['import org.openqa.selenium.support.ui.ExpectedCondition;'] : []),
+    'import org.openqa.selenium.support.ui.ExpectedConditions;',
+    'import org.openqa.selenium.support.ui.Select;',
+    'import org.openqa.selenium.support.ui.WebDriverWait;',
+    '',
+    `public class ${className} {`
+  ];
+  
+  if (usesResponses) {
+    lines.push(
+      '    // Response assertions: record the responses of the page\'s fetch/XHR calls, then look them up',
+      `    private static final String RESPONSE_RECORDER_SCRIPT = ${toQuotedString(RESPONSE_RECORDER_SCRIPT)};`,
+      `    private static final String FIND_RESPONSE_SCRIPT = ${toQuotedString(FIND_RESPONSE_SCRIPT)};`,
+      ''
+    );
+  }
+  
+  // Data-driven: run the recorded steps once per worksheet data row
+  if (dataRows) {
+    const rows = dataRows.map(row => {
+      const entries = Object.entries(row).map(([key, value]) => `Map.entry(${toQuotedString(key)}, ${toQuotedString(value)})`);
+      return `        Map.ofEntries(${entries.join(', ')})`;
+    });
+    lines.push(
+      '    private static final List<Map<String, String>> DATA_ROWS = List.of(',
+      rows.join(',\n'),
+      '    );',
+      '',
+      '    public static void main(String[] args) throws Exception {',
+      '        for (Map<String, String> data : DATA_ROWS) {',
+      '            runTest(data);',
+      '        }',
+      '    }',
+      '',
+      '    private static void runTest(Map<String, String> data) throws Exception {'
+    );
+  } else {
+    lines.push('    public static void main(String[] args) throws Exception {');
+  }
+  
+  const secrets = getSecretEnvNames(actions);
+  lines.push(
+    ...(secrets.length > 0 ? [`        // Masked values are read from environment variables: ${secrets.join(', ')}`] : []),
+    '        // Set SELENIUM_REMOTE_URL to run against a Selenium Grid',
+    '        ChromeOptions options = new ChromeOptions();',
+    ...(usesNoErrors ? ['        options.setCapability("goog:loggingPrefs", Map.of("browser", "SEVERE"));'] : []),
+    '        String remoteUrl = System.getenv("SELENIUM_REMOTE_URL");',
+    '        WebDriver driver = remoteUrl != null ? new RemoteWebDriver(new URL(remoteUrl), options) : new ChromeDriver(options);',
+    '        WebDriverWait wait = new WebDriverWait(driver, Duration.ofSeconds(10));',
+    '        WebElement element;',
+    ...(usesRequestWaits ? ['        Object since;'] : []),
+    ...(usesResponses ? ['        Object responsesSince;', '        Map<?, ?> response;'] : []),
+    ...(usesVars ? ['        Map<String, String> vars = new HashMap<>();'] : []),
+    ...(usesTabs ? ['        Map<String, String> windows = new HashMap<>(Map.of("tab1", driver.getWindowHandle()));'] : []),
+    '',
+    '        try {'
+  );
+  
+  if (recording.url && !startsWithNavigation(actions)) {
+    lines.push(`${indent}driver.get(${toQuotedString(recording.url)});`);
+  }
+  
+  let currentFrameKey = '';
+  const recordedResponses = new Set();
+  
+  actions.forEach((action, index) => {
+    if (action.type === 'page-marker') {
+      lines.push('', `${indent}// ===== ${toCommentText(action.pageName || 'Page')} =====`);
+      return;
+    }
+    
+    if (action.type === 'pause') {
+      lines.push('', `${indent}// ${describePause(action)}`);
+      return;
+    }
+    
+    if (action.type === 'wait') {
+      lines.push('', `${indent}Thread.sleep(${action.duration || 0});`);
+      return;
+    }
+    
+    // A new page always starts in the top-level document
+    if (NAVIGATION_STEP_TYPES.includes(action.type)) {
+      lines.push('', indent + generateSeleniumJavaNavigation(action));
+      currentFrameKey = '';
+      return;
+    }
+    
+    // A newly opened tab is whichever window handle is not known yet
+    if (action.type === 'switch-tab') {
+      lines.push('', `${indent}// ${toCommentText(action.description || `Switch to ${action.pageId}`)}`);
+      if (action.opened) {
+        lines.push(`${indent}windows.put(${toQuotedString(action.pageId)}, wait.until(d -> d.getWindowHandles().stream().filter(h -> !windows.containsValue(h)).findFirst().orElse(null)));`);
+      }
+      lines.push(`${indent}driver.switchTo().window(windows.get(${toQuotedString(action.pageId)}));`);
+      currentFrameKey = '';
+      return;
+    }
+    
+    lines.push('');
+    if (action.description) {
+      lines.push(`${indent}// ${toCommentText(action.description)}`);
+    }
+    
+    // Switch frame context when this action lives in a different frame
+    const frameTargets = getSeleniumFrameTargets(action);
+    const frameKey = JSON.stringify(frameTargets);
+    if (frameKey !== currentFrameKey) {
+      if (currentFrameKey) lines.push(`${indent}driver.switchTo().defaultContent();`);
+      frameTargets.forEach(target => {
+        lines.push(`${indent}wait.until(ExpectedConditions.frameToBeAvailableAndSwitchToIt(${toJavaFrameTarget(target)}));`);
+      });
+      currentFrameKey = frameTargets.length > 0 ? frameKey : '';
+    }
+    
+    if (isResponseAssertion(action)) {
+      const statements = recordedResponses.has(index)
+        ? generateJavaResponseAssertion(action)
+        : ['// Skipped response assertion: no step before it to trigger the request'];
+      statements.forEach(line => lines.push(indent + line));
+      return;
+    }
+    
+    generateJavaWaits(action).forEach(line => lines.push(indent + line));
+    
+    // Note the time before the step that triggers the next step's requests, then wait for them after it
+    const requests = getTriggeredRequests(actions, index);
+    if (requests.length > 0) lines.push(`${indent}since = ((JavascriptExecutor) driver).executeScript(${toQuotedString(REQUEST_CLOCK_SCRIPT)});`);
+    const responseAssertions = getTriggeredResponseAssertions(actions, index);
+    if (responseAssertions.length > 0) {
+      lines.push(`${indent}responsesSince = ((JavascriptExecutor) driver).executeScript(RESPONSE_RECORDER_SCRIPT);`);
+      responseAssertions.forEach(next => recordedResponses.add(next));
+    }
+    generateSeleniumJavaAction(action, !!dataRows).forEach(line => lines.push(indent + line));
+    if (requests.length > 0) lines.push(`${indent}waitForRequests(wait, since, ${requests.map(path => toQuotedString(toRequestPatternSource(path))).join(', ')});`);
+  });
+  
+  lines.push(
+    '        } finally {',
+    '            driver.quit();',
+    '        }',
+    '    }'
+  );
+  
+  if (usesShadow) {
+    lines.push(
+      '',
+      '    // Wait for an element inside a shadow root (shadow roots only support CSS selectors)',
+      '    private static WebElement findInShadow(WebDriverWait wait, WebElement host, String cssSelector) {',
+      '        return wait.until(d -> host.getShadowRoot().findElement(By.cssSelector(cssSelector)));',
+      '    }'
+    );
+  }
+  
+  if (usesFallbacks) {
+    lines.push(
+      '',
+      '    // Wait for whichever of the fallback locators matches first',
+      '    private static WebElement findFirst(WebDriverWait wait, Function<By, ExpectedCondition<WebElement>> condition, By... locators) {',
+      '        return wait.until(d -> {',
+      '            for (By locator : locators) {',
+      '                try {',
+      '                    WebElement found = condition.apply(locator).apply(d);',
+      '                    if (found != null) return found;',
+      '                } catch (NoSuchElementException ignored) {',
+      '                }',
+      '            }',
+      '            return null;',
+      '        });',
+      '    }'
+    );
+  }
+  
+  if (usesResponses) {
+    lines.push(
+      '',
+      '    // Wait for the response to a request made after `since`; "value" is the JSON text at jsonPath',
+      '    private static Map<?, ?> findResponse(WebDriverWait wait, Object since, String method, String url, Object... jsonPath) {',
+      '        return (Map<?, ?>) wait.until(d -> ((JavascriptExecutor) d).executeScript(FIND_RESPONSE_SCRIPT, since, method, url, List.of(jsonPath)));',
+      '    }'
+    );
+  }
+  
+  if (usesNoErrors) {
+    lines.push(
+      '',
+      '    // Fail on errors the browser console logged since the last check (reading the log clears it)',
+      '    private static void assertNoConsoleErrors(WebDriver driver) {',
+      '        List<String> errors = driver.manage().logs().get(LogType.BROWSER).getAll().stream()',
+      '            .filter(entry -> Level.SEVERE.equals(entry.getLevel()))',
+      '            .map(LogEntry::getMessage)',
+      '            .toList();',
+      '        if (!errors.isEmpty()) throw new AssertionError("Console errors: " + errors);',
+      '    }'
+    );
+  }
+  
+  if (usesRequestWaits) {
+    lines.push(
+      '',
+      '    // Wait until each URL pattern was requested after `since` and its response has arrived.',
+      '    // Best effort, as in replay: a request the page no longer makes only costs the timeout',
+      '    private static void waitForRequests(WebDriverWait wait, Object since, String... patterns) {',
+      '        try {',
+      `            wait.until(d -> (Boolean) ((JavascriptExecutor) d).executeScript(${toQuotedString(REQUESTS_DONE_SCRIPT)}, since, List.of(patterns)));`,
+      '        } catch (TimeoutException ignored) {',
+      '        }',
+      '    }'
+    );
+  }
+  
+  lines.push('}', '');
+  
+  return lines.join('\n');
+}
+
+function generateSeleniumJavaNavigation(action) {
+  switch (action.type) {
+    case 'reload': return 'driver.navigate().refresh();';
+    case 'back': return 'driver.navigate().back();';
+    case 'forward': return 'driver.navigate().forward();';
+  }
+  return isPageNavigation(action)
+    ? `wait.until(ExpectedConditions.urlContains(${toQuotedString(toUrlPrefix(action.url))}));`
+    : `driver.get(${toQuotedString(action.url)});`;
+}
+
+/**
+ * Explicit waits for what the page was busy with before the step was recorded
+ * (elements that appeared are covered by the visibility wait in the step itself)
+ */
+function generateJavaWaits(action) {
+  return [
+    ...getStepWaits(action, 'urlChanged').map(wait => `wait.until(ExpectedConditions.urlMatches(${toQuotedString(`^${toUrlPatternSource(wait.url)}`)}));`),
+    ...getStepWaits(action, 'spinnerGone').map(wait => `wait.until(ExpectedConditions.invisibilityOfElementLocated(By.cssSelector(${toQuotedString(wait.selector)})));`)
+  ];
+}
+
+function generateJavaResponseAssertion(action) {
+  const path = parseJsonPath(action.jsonPath).map(key => (typeof key === 'number' ? key : toQuotedString(key)));
+  const args = [toQuotedString(action.request?.method || 'GET'), toQuotedString(toUrlPrefix(action.request?.url)), ...path];
+  const lines = [`response = findResponse(wait, responsesSince, ${args.join(', ')});`];
+  if (action.expectedStatus) {
+    lines.push(`if (((Number) response.get("status")).intValue() != ${action.expectedStatus}) throw new AssertionError("Expected status ${action.expectedStatus}, got " + response.get("status"));`);
+  }
+  if (action.jsonPath) {
+    lines.push(`if (!${toQuotedString(action.expectedValue ?? '')}.equals(response.get("value"))) throw new AssertionError(${toQuotedString(`Expected ${action.jsonPath} to be ${action.expectedValue}`)});`);
+  }
+  return lines;
+}
+
+/**
+ * Generate the Java statements for a single action
+ * When dataDriven is set, parameter-bound values read from the current data row
+ */
+function generateSeleniumJavaAction(action, dataDriven = false) {
+  if (assertsWithoutElement(action)) {
+    return [generateJavaPageAssertion(action)];
+  }
+  
+  // Hidden elements may not exist at all, so wait on the locator rather than an element
+  const [hiddenLocator] = isUnlocatedHiddenAssertion(action) ? pickLocators(action, SELENIUM_STRATEGIES).map(toSeleniumLocator) : [];
+  if (hiddenLocator) {
+    return [`wait.until(ExpectedConditions.invisibilityOfElementLocated(By.${hiddenLocator.type === 'css' ? 'cssSelector' : 'xpath'}(${toQuotedString(hiddenLocator.value)})));`];
+  }
+  
+  const condition = {
+    clickable: 'elementToBeClickable',
+    present: 'presenceOfElementLocated',
+    visible: 'visibilityOfElementLocated'
+  }[getSeleniumWaitCondition(action)];
+  const lines = generateJavaLocate(action, condition);
+  if (!lines) {
+    return [`// Skipped ${action.type}: no locator recorded`];
+  }
+  
+  switch (action.type) {
+    case 'click':
+      lines.push('element.click();');
+      break;
+    case 'input':
+      lines.push('element.clear();', `element.sendKeys(${toJavaValue(action, dataDriven)});`);
+      break;
+    case 'select':
+      lines.push(`new Select(element).selectByValue(${toJavaValue(action, dataDriven)});`);
+      break;
+    case 'check':
+      lines.push(`if (${action.checked ? '!' : ''}element.isSelected()) element.click();`);
+      break;
+    case 'keypress':
+      lines.push(action.modifiers?.length > 0
+        ? `element.sendKeys(Keys.chord(${[...action.modifiers, action.key].map(toSeleniumKey).join(', ')}));`
+        : `element.sendKeys(${toSeleniumKey(action.key)});`);
+      break;
+    case 'dblclick':
+      lines.push('new Actions(driver).doubleClick(element).perform();');
+      break;
+    case 'contextmenu':
+      lines.push('new Actions(driver).contextClick(element).perform();');
+      break;
+    case 'hover':
+      lines.push('new Actions(driver).moveToElement(element).perform();');
+      break;
+    case 'drag': {
+      const targetLines = generateJavaLocate(getDropTargetAction(action), 'visibilityOfElementLocated');
+      if (!targetLines) return ['// Skipped drag: no drop target locator recorded'];
+      lines.push('new Actions(driver).clickAndHold(element).perform();', ...targetLines, 'new Actions(driver).moveToElement(element).release().perform();');
+      break;
+    }
+    case 'upload': {
+      const paths = getUploadPaths(action).map(path => `new File(${toQuotedString(path)}).getAbsolutePath()`);
+      lines.push(`element.sendKeys(String.join("\\n", ${paths.join(', ')}));`);
+      break;
+    }
+    case 'scroll':
+      lines.push(`((JavascriptExecutor) driver).executeScript("arguments[0].scrollTo(arguments[1], arguments[2])", element, ${action.scrollX || 0}, ${action.scrollY || 0});`);
+      break;
+    case 'assertion':
+      lines.push(...generateJavaAssertion(action));
+      break;
+    case 'capture':
+      lines.push(`vars.put(${toQuotedString(action.variable)}, ${action.source === 'value' ? 'element.getAttribute("value")' : 'element.getText().trim()'});`);
+      break;
+    default:
+      return [`// Unsupported action type: ${action.type}`];
+  }
+  
+  return lines;
+}
+
+/**
+ * Assert on the located `element`
+ */
+function generateJavaAssertion(action) {
+  const target = action.description || action.xpath;
+  const expected = toJavaText(action.expectedValue ?? '');
+  const fail = (message) => `throw new AssertionError(${toQuotedString(message)});`;
+  
+  switch (action.assertionType) {
+    case 'hidden':
+      return ['wait.until(ExpectedConditions.invisibilityOf(element));'];
+    case 'enabled':
+      return [`if (!element.isEnabled()) ${fail(`Element is disabled: ${target}`)}`];
+    case 'disabled':
+      return [`if (element.isEnabled()) ${fail(`Element is enabled: ${target}`)}`];
+    case 'checked':
+      return [`if (${action.checked ? '!' : ''}element.isSelected()) ${fail(`Element is ${action.checked ? 'unchecked' : 'checked'}: ${target}`)}`];
+    case 'attribute':
+      return [`if (!${expected}.equals(element.getAttribute(${toQuotedString(action.attributeName)}))) ${fail(`Expected ${action.attributeName}: ${action.expectedValue ?? ''}`)}`];
+    case 'css':
+      return [`if (!${expected}.equals(element.getCssValue(${toQuotedString(action.cssProperty)}))) ${fail(`Expected ${action.cssProperty}: ${action.expectedValue ?? ''}`)}`];
+    case 'value':
+      return [...findJavaInnerControl(action), `if (!${expected}.equals(element.getAttribute("value"))) ${fail(`Expected value: ${action.expectedValue ?? ''}`)}`];
+    case 'text':
+      break;
+    default:
+      return [`if (!element.isDisplayed()) ${fail(`Element not visible: ${target}`)}`];
+  }
+  
+  if (action.match === 'regex') return [`if (!Pattern.compile(${expected}).matcher(element.getText()).find()) ${fail(`Text does not match: ${action.expectedValue ?? ''}`)}`];
+  if (action.match === 'equals') return [`if (!element.getText().trim().equals(${expected})) ${fail(`Expected text: ${action.expectedValue ?? ''}`)}`];
+  if (action.match) return [`if (!element.getText().contains(${expected})) ${fail(`Expected text: ${action.expectedValue ?? ''}`)}`];
+  
+  // Text assertions recorded before `match` existed compare form controls by value
+  const recorded = toJavaText(action.expectedValue || action.textContent || '');
+  if (action.shadowInnerElement?.value && action.shadowInnerElement.tag) {
+    return [...findJavaInnerControl(action), `if (!${recorded}.equals(element.getAttribute("value"))) throw new AssertionError("Expected value: " + ${recorded});`];
+  }
+  if (['input', 'textarea', 'select'].includes(action.element?.tag)) {
+    return [`if (!${recorded}.equals(element.getAttribute("value"))) throw new AssertionError("Expected value: " + ${recorded});`];
+  }
+  return [`if (!element.getText().contains(${recorded})) throw new AssertionError("Expected text: " + ${recorded});`];
+}
+
+function findJavaInnerControl(action) {
+  return action.shadowInnerElement?.tag
+    ? [`element = findInShadow(wait, element, ${toQuotedString(action.shadowInnerElement.tag)});`]
+    : [];
+}
+
+/**
+ * URL, title and element-count assertions wait until the page satisfies them; no-console-errors assertions read the browser log
+ */
+function generateJavaPageAssertion(action) {
+  const expected = toJavaText(action.expectedValue ?? '');
+  
+  if (action.assertionType === 'noErrors') {
+    return 'assertNoConsoleErrors(driver);';
+  }
+  if (action.assertionType === 'count') {
+    return `wait.until(ExpectedConditions.numberOfElementsToBe(By.cssSelector(${toQuotedString(action.countSelector)}), ${action.expectedCount ?? 0}));`;
+  }
+  if (action.assertionType === 'url') {
+    const condition = { regex: 'urlMatches', contains: 'urlContains' }[action.match] || 'urlToBe';
+    return `wait.until(ExpectedConditions.${condition}(${expected}));`;
+  }
+  if (action.match === 'regex') {
+    return `wait.until(d -> Pattern.compile(${expected}).matcher(d.getTitle()).find());`;
+  }
+  return `wait.until(ExpectedConditions.${action.match === 'contains' ? 'titleContains' : 'titleIs'}(${expected}));`;
+}
+
+/**
+ * Locate the action's element with an explicit wait, traversing shadow roots if needed
+ */
+function generateJavaLocate(action, condition) {
+  if (action.shadow && action.shadow.length > 0) {
+    const host = getShadowHostLocator(action.shadow[0]);
+    const by = host.type === 'xpath' ? 'By.xpath' : 'By.cssSelector';
+    const lines = [`element = wait.until(ExpectedConditions.presenceOfElementLocated(${by}(${toQuotedString(host.value)})));`];
+    action.shadow.forEach((level, i) => {
+      const css = getShadowLevelCss(action, i);
+      lines.push(`element = findInShadow(wait, element, ${toQuotedString(css)});`);
+    });
+    return lines;
+  }
+  
+  const locators = pickLocators(action, SELENIUM_STRATEGIES).map(toSeleniumLocator);
+  if (locators.length === 0) return null;
+  
+  const targets = locators.map(l => `By.${l.type === 'css' ? 'cssSelector' : 'xpath'}(${toQuotedString(l.value)})`);
+  if (targets.length === 1) {
+    return [`element = wait.until(ExpectedConditions.${condition}(${targets[0]}));`];
+  }
+  return [`element = findFirst(wait, ExpectedConditions::${condition}, ${targets.join(', ')});`];
+}
+
+function toJavaValue(action, dataDriven) {
+  if (dataDriven && action.parameter) return `data.get(${toQuotedString(action.parameter)})`;
+  return toJavaText(action.value || '');
+}
+
+// A string literal with {{variable}} references, or the environment variable holding a masked secret
+function toJavaText(text) {
+  const secret = parseSecretPlaceholder(text);
+  if (secret) return `System.getenv(${toQuotedString(toSecretEnvName(secret))})`;
+  return joinVariableReferences(text, toQuotedString, name => `vars.get(${toQuotedString(name)})`);
+}
+
+function toJavaFrameTarget(target) {
+  if (target.type === 'xpath') return `By.xpath(${toQuotedString(target.value)})`;
+  if (target.type === 'index') return String(target.value);
+  return toQuotedString(target.value);
+}
+
+/**
+ * Build a valid Java class name from a recording name
+ * e.g. "TC-01 Login" -> "Tc01LoginTest"
+ */
+function toJavaClassName(name) {
+  const words = String(name || '').split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  let className = words.map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join('');
+  if (!className || /^[0-9]/.test(className)) className = `Recorded${className}`;
+  return className.endsWith('Test') ? className : `${className}Test`;
+}
+
+/**
+ * Resolve the frames an action lives in to Selenium switch targets (name/id, xpath or index)
+ */
+function getSeleniumFrameTargets(action) {
+  const path = action.iframe || [];
+  
+  return path.map((frame, i) => {
+    if (frame.name || frame.id) {
+      return { type: 'nameOrId', value: frame.name || frame.id };
+    }
+    if (frame.xpath && !frame.crossOrigin) {
+      return { type: 'xpath', value: frame.xpath };
+    }
+    
+    // Innermost frame: prefer the index recorded by the content script
+    const isInnermost = i === path.length - 1;
+    const index = isInnermost && action.frameIndex !== null && action.frameIndex !== undefined
+      ? action.frameIndex
+      : (frame.index || 0);
+    return { type: 'index', value: index };
+  });
+}
+
+/**
+ * Locator for the outermost shadow host (lives in the light DOM, so XPath works)
+ */
+function getShadowHostLocator(outer) {
+  if (outer.hostXPath) return { type: 'xpath', value: outer.hostXPath };
+  if (outer.hostId) return { type: 'css', value: `${outer.hostTag || ''}[id="${outer.hostId}"]` };
+  return { type: 'css', value: outer.hostTag || '*' };
+}
+
+/**
+ * Translate a recorded locator into a Selenium CSS or XPath target
+ * Text locators match the innermost element with that exact text
+ */
+function toSeleniumLocator(locator) {
+  if (locator.strategy === 'css' || locator.strategy === 'testId') {
+    return { type: 'css', value: locator.value };
+  }
+  if (locator.strategy === 'text') {
+    const literal = toXPathLiteral(locator.text);
+    return { type: 'xpath', value: `//*[normalize-space()=${literal} and not(*[normalize-space()=${literal}])]` };
+  }
+  return { type: 'xpath', value: locator.value };
+}
+
+function usesSeleniumFallbacks(action) {
+  if (isMarkerAction(action) || action.shadow?.length > 0) return false;
+  return pickLocators(action, SELENIUM_STRATEGIES).length > 1;
+}
+
+/**
+ * CSS selector for one shadow level; the innermost level prefers the best recorded CSS locator
+ */
+function getShadowLevelCss(action, levelIndex) {
+  const isInnermost = levelIndex === action.shadow.length - 1;
+  const best = isInnermost ? pickLocators(action, ['testId', 'css'])[0] : null;
+  return best?.value || innerXPathToCss(action.shadow[levelIndex].innerXPath) || action.element?.tag || '*';
+}
+
+/**
+ * Wait for clickability before pointer actions; uploads and scroll containers only need to exist,
+ * unless the scroll container appeared while recording
+ */
+function getSeleniumWaitCondition(action) {
+  if (['click', 'check', 'dblclick', 'contextmenu', 'drag'].includes(action.type)) return 'clickable';
+  if (action.type === 'upload') return 'present';
+  if (action.type === 'scroll') return getStepWaits(action, 'elementVisible').length > 0 ? 'visible' : 'present';
+  return 'visible';
+}
+
+function toSeleniumKey(key) {
+  if (SELENIUM_KEYS[key]) return `Keys.${SELENIUM_KEYS[key]}`;
+  return toQuotedString(key || '');
+}
+
+// ==================== EXCEL ====================
+
+const EXCEL_ACTION_COLUMNS = ['#', 'Step', 'Type', 'Description', 'XPath', 'Full XPath', 'Value', 'Parameter', 'Iframe', 'Shadow DOM', 'URL', 'Time'];
+const EXCEL_SUMMARY_COLUMNS = ['Test Suite', 'Test Case', 'Status', 'Actions', 'Page Markers', 'Revision', 'URL', 'Recorded At', 'Sheet'];
+
+/**
+ * Export test suites to an Excel workbook (requires xlsx.min.js)
+ * One sheet per test case listing its recorded actions, plus a summary sheet.
+ * Each test case is expected to carry a `status` resolved by the caller.
+ * Returns the workbook as an ArrayBuffer.
+ */
+function exportToExcelWorkbook(testSuites) {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set(['Summary']);
+  const summaryRows = [EXCEL_SUMMARY_COLUMNS];
+  const caseSheets = [];
+  
+  testSuites.forEach(suite => {
+    suite.testCases.forEach(testCase => {
+      const actions = testCase.actions || [];
+      const sheetName = actions.length > 0 ? toSheetName(testCase.name, usedNames) : null;
+      
+      summaryRows.push([
+        suite.name,
+        testCase.name,
+        testCase.status || 'not recorded',
+        actions.filter(a => !isMarkerAction(a)).length,
+        actions.filter(a => a.type === 'page-marker').length,
+        actions.length > 0 ? testCase.revision || 1 : '',
+        testCase.url || '',
+        testCase.endTime ? new Date(testCase.endTime).toISOString() : '',
+        sheetName || ''
+      ]);
+      
+      if (sheetName) {
+        const rows = [EXCEL_ACTION_COLUMNS, ...actions.map((action, index) => toExcelActionRow(action, index))];
+        caseSheets.push({ name: sheetName, sheet: toExcelSheet(rows) });
+      }
+    });
+  });
+  
+  XLSX.utils.book_append_sheet(workbook, toExcelSheet(summaryRows), 'Summary');
+  caseSheets.forEach(({ name, sheet }) => XLSX.utils.book_append_sheet(workbook, sheet, name));
+  
+  return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+}
+
+function toExcelActionRow(action, index) {
+  const time = action.timestamp ? new Date(action.timestamp).toISOString() : '';
+  
+  if (action.type === 'page-marker') {
+    return [index + 1, action.step || '', 'page-marker', action.pageName || '', '', '', '', '', '', '', '', time];
+  }
+  
+  if (action.type === 'pause') {
+    return [index + 1, action.step || '', 'pause', describePause(action), '', '', '', '', '', '', '', time];
+  }
+  
+  const value = action.type === 'assertion'
+    ? describeAssertionExpectation(action)
+    : action.type === 'keypress' ? toKeyCombination(action)
+    : action.type === 'upload' ? (action.files || []).map(f => f.name).join(', ')
+    : action.type === 'scroll' ? `${action.scrollX || 0}, ${action.scrollY || 0}`
+    : action.type === 'wait' ? action.duration || 0
+    : action.type === 'switch-tab' ? action.pageId || ''
+    : action.type === 'capture' ? `{{${action.variable}}}` : action.value ?? '';
+  const iframe = Array.isArray(action.iframe)
+    ? action.iframe.map(frame => frame.selector || frame.xpath || `iframe[${frame.index}]`).join(' > ')
+    : '';
+  const shadow = Array.isArray(action.shadow)
+    ? action.shadow.map(s => [s.hostXPath || s.hostTag, s.innerXPath].filter(Boolean).join(' >> ')).join(' > ')
+    : '';
+  
+  return [
+    index + 1,
+    action.step || '',
+    action.type === 'assertion' ? `assertion (${action.assertionType || 'element'})` : action.type,
+    action.description || '',
+    action.xpath || '',
+    action.fullXPath || '',
+    String(value),
+    action.parameter || '',
+    iframe,
+    shadow,
+    action.url || '',
+    time
+  ];
+}
+
+/**
+ * Build a worksheet from rows, sizing each column to its longest cell
+ */
+function toExcelSheet(rows) {
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  sheet['!cols'] = rows[0].map((_, col) => ({
+    wch: Math.min(60, Math.max(...rows.map(row => String(row[col] ?? '').length), 4) + 2)
+  }));
+  return sheet;
+}
+
+/**
+ * Excel sheet names are limited to 31 characters, cannot contain : \ / ? * [ ]
+ * and must be unique within the workbook (case-insensitive)
+ */
+function toSheetName(name, usedNames) {
+  const base = String(name || 'Test Case').replace(/[:\\/?*\[\]]/g, '_').slice(0, 31) || 'Test Case';
+  const taken = candidate => [...usedNames].some(used => used.toLowerCase() === candidate.toLowerCase());
+  
+  let sheetName = base;
+  for (let n = 2; taken(sheetName); n++) {
+    const suffix = ` (${n})`;
+    sheetName = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  
+  usedNames.add(sheetName);
+  return sheetName;
+}
+
+// ==================== ZIP ====================
+
+/**
+ * Build a ZIP archive with the vendored SheetJS CFB writer
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - Paths may contain folders, e.g. screenshots/step-001.png
+ * @returns {Blob}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const zip = XLSX.CFB.utils.cfb_new();
+  
+  for (const file of files) {
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    XLSX.CFB.utils.cfb_add(zip, file.name, data);
+  }
+  
+  return new Blob([XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true })], { type: 'application/zip' });
+}
+
+// ==================== HELPERS ====================
+
+// What the step waited for while recording, by type (see STEP WAITS in background.js)
+function getStepWaits(action, type) {
+  return (action.waitFor || []).filter(wait => wait.type === type);
+}
+
+// Assertions on an API response captured with the step before them (see NETWORK CAPTURE in background.js)
+function isResponseAssertion(action) {
+  return action.type === 'assertion' && action.assertionType === 'response';
+}
+
+/**
+ * Indexes of the response assertions whose requests the step at `index` triggers:
+ * the assertions that follow it, with only markers and other response assertions in between
+ */
+function getTriggeredResponseAssertions(actions, index) {
+  const indexes = [];
+  if (isMarkerAction(actions[index]) || isResponseAssertion(actions[index])) return indexes;
+  
+  for (let next = index + 1; next < actions.length; next++) {
+    if (isResponseAssertion(actions[next])) indexes.push(next);
+    else if (!isMarkerAction(actions[next])) break;
+  }
+  return indexes;
+}
+
+/**
+ * e.g. data.items[0].id -> ['data', 'items', 0, 'id'] (an optional leading $ is ignored)
+ */
+function parseJsonPath(path) {
+  return Array.from((path || '').replace(/^\$/, '').matchAll(/([^.[\]]+)|\[(\d+)\]/g), ([, key, index]) => (index !== undefined ? Number(index) : key));
+}
+
+function readJsonPath(value, path) {
+  return parseJsonPath(path).reduce((node, key) => (node == null ? undefined : node[key]), value);
+}
+
+function describeResponseAssertion(action) {
+  const request = `${action.request?.method || 'GET'} ${toUrlPrefix(action.request?.url)}`;
+  const checks = [
+    action.expectedStatus ? `status ${action.expectedStatus}` : null,
+    action.jsonPath ? `${action.jsonPath} = ${action.expectedValue}` : null
+  ].filter(Boolean);
+  return `${request} returns ${checks.join(', ') || 'a response'}`;
+}
+
+/**
+ * The responses recorded in mock mode, grouped by method and URL (query and hash ignored),
+ * each group in the order the responses arrived
+ */
+function getMockedResponses(actions) {
+  const responses = new Map();
+  actions.flatMap(a => a.network || [])
+    .filter(entry => entry.mock && !entry.truncated && entry.status > 0)
+    .forEach(entry => {
+      const key = `${entry.method} ${toUrlPrefix(entry.url)}`;
+      responses.set(key, [...(responses.get(key) || []), entry]);
+    });
+  return [...responses.values()];
+}
+
+/**
+ * Request paths the next step waited for. Exports start waiting for them before this step,
+ * which triggered them, and finish after it.
+ */
+function getTriggeredRequests(actions, index) {
+  const next = actions.slice(index + 1).find(a => !isMarkerAction(a));
+  return next ? getStepWaits(next, 'networkIdle').flatMap(wait => wait.requests || []) : [];
+}
+
+/**
+ * Data rows to iterate over, or null when no action is bound to a worksheet column
+ */
+function getDataRows(recording) {
+  const rows = recording.dataRows || [];
+  const isBound = (recording.actions || []).some(a => a.parameter);
+  return isBound && rows.length > 0 ? rows : null;
+}
+
+/**
+ * Page markers and pause markers annotate the recording but are not executable steps
+ */
+function isMarkerAction(action) {
+  return action.type === 'page-marker' || action.type === 'pause';
+}
+
+// Steps that load a page in the current tab
+const NAVIGATION_STEP_TYPES = ['navigate', 'reload', 'back', 'forward'];
+
+/**
+ * Link clicks, form posts and redirects navigate by themselves; typed, start and manual navigations need a goto
+ */
+function isPageNavigation(action) {
+  return action.type === 'navigate' && ['link', 'form', 'redirect'].includes(action.trigger);
+}
+
+// Recordings made with navigation steps open the start page in their first step
+function startsWithNavigation(actions) {
+  return actions[0]?.type === 'navigate';
+}
+
+// Query and hash often carry per-session tokens, so navigations are matched on the part before them
+function toUrlPrefix(url) {
+  return (url || '').split(/[?#]/)[0];
+}
+
+// Path segments that change from run to run: numeric ids, UUIDs and long tokens containing digits
+function isDynamicPathSegment(segment) {
+  return /^\d+$/.test(segment) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+    (segment.length >= 8 && /\d/.test(segment) && /^[\w-]+$/.test(segment));
+}
+
+/**
+ * Regular expression source for a recorded URL or path, query and hash ignored,
+ * with dynamic path segments (e.g. the 8472 in /orders/8472) matching any segment
+ */
+function toUrlPatternSource(url) {
+  return toUrlPrefix(url).split('/')
+    .map(segment => (isDynamicPathSegment(segment) ? '[^/?#]+' : toRegExpSource(segment)))
+    .join('/');
+}
+
+// A request path recorded by a networkIdle wait, matched up to its query string
+function toRequestPatternSource(path) {
+  return `${toUrlPatternSource(path)}(?:[?#]|$)`;
+}
+
+// Assertions on the page itself rather than an element
+const PAGE_ASSERTION_TYPES = ['url', 'title', 'noErrors'];
+
+function isNoErrorsAssertion(action) {
+  return action.type === 'assertion' && action.assertionType === 'noErrors';
+}
+
+// Page and count assertions do not need the recorded element to be found
+function assertsWithoutElement(action) {
+  return action.type === 'assertion' && [...PAGE_ASSERTION_TYPES, 'count'].includes(action.assertionType);
+}
+
+// Selenium can wait for a hidden element by locator unless it sits in a shadow root
+function isUnlocatedHiddenAssertion(action) {
+  return action.type === 'assertion' && action.assertionType === 'hidden' && !(action.shadow?.length > 0);
+}
+
+function isRegexAssertion(action) {
+  return action.type === 'assertion' && action.match === 'regex';
+}
+
+/**
+ * What an assertion expects, as one line of text
+ */
+function describeAssertionExpectation(action) {
+  switch (action.assertionType) {
+    case 'checked': return action.checked ? 'checked' : 'unchecked';
+    case 'attribute': return `${action.attributeName}=${action.expectedValue ?? ''}`;
+    case 'css': return `${action.cssProperty}: ${action.expectedValue ?? ''}`;
+    case 'count': return `${action.expectedCount ?? 0} x ${action.countSelector}`;
+    case 'noErrors': return 'no console errors';
+  }
+  const expected = action.expectedValue || action.textContent || '';
+  return action.match === 'regex' && expected ? `/${expected}/` : expected;
+}
+
+// Escape text for use as a literal inside a regular expression
+function toRegExpSource(text) {
+  return String(text ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Actions Selenium performs through ActionChains / Actions
+const POINTER_ACTION_TYPES = ['dblclick', 'contextmenu', 'hover', 'drag'];
+
+/**
+ * The drop target of a drag step, shaped like an action so the locator builders can use it
+ */
+function getDropTargetAction(action) {
+  return { ...action, ...action.target, type: 'drop' };
+}
+
+// Values masked while recording are stored as {{secret.<name>}}; exports read them from SECRET_<NAME>
+const SECRET_PLACEHOLDER_PATTERN = /^\{\{secret\.(\w+)\}\}$/;
+
+function parseSecretPlaceholder(value) {
+  return SECRET_PLACEHOLDER_PATTERN.exec(value ?? '')?.[1] || null;
+}
+
+function toSecretEnvName(secret) {
+  return `SECRET_${secret.toUpperCase()}`;
+}
+
+/**
+ * Names of the secrets a recording needs, from its input values and assertion expectations
+ */
+function getSecretNames(actions) {
+  const names = actions.flatMap(a => [a.value, a.expectedValue, a.textContent]).map(parseSecretPlaceholder);
+  return [...new Set(names.filter(Boolean))];
+}
+
+function getSecretEnvNames(actions) {
+  return getSecretNames(actions).map(toSecretEnvName);
+}
+
+// Capture steps store an element's text or value in a variable; later values reference it as {{name}}
+const VARIABLE_REFERENCE_PATTERN = /\{\{(\w+)\}\}/g;
+
+// Names set by the capture steps of the recording being exported; other {{name}} text stays literal
+let exportVariableNames = new Set();
+
+function usesVariables(actions) {
+  return actions.some(a => a.type === 'capture');
+}
+
+function setExportVariableNames(actions) {
+  exportVariableNames = new Set(actions.filter(a => a.type === 'capture' && a.variable).map(a => a.variable));
+}
+
+/**
+ * Text as a string expression: quoted literal parts joined with the code that reads each {{variable}}
+ */
+function joinVariableReferences(text, quote, readVariable) {
+  const source = String(text ?? '');
+  const parts = [];
+  let last = 0;
+  for (const match of source.matchAll(VARIABLE_REFERENCE_PATTERN)) {
+    if (!exportVariableNames.has(match[1])) continue;
+    if (match.index > last) parts.push(quote(source.slice(last, match.index)));
+    parts.push(readVariable(match[1]));
+    last = match.index + match[0].length;
+  }
+  if (last < source.length || parts.length === 0) parts.push(quote(source.slice(last)));
+  
+  return parts.length > 1 ? `(${parts.join(' + ')})` : parts[0];
+}
+
+// Step screenshots sit in a screenshots folder next to the recording JSON in the ZIP export
+function getScreenshotPath(index) {
+  return `screenshots/step-${String(index + 1).padStart(3, '0')}.png`;
+}
+
+// Uploaded files are expected in a fixtures folder next to the exported test
+function getUploadPaths(action) {
+  return (action.files || []).map(file => `fixtures/${file.name}`);
+}
+
+// Playwright-style key with modifiers, e.g. "Control+Shift+K"
+function toKeyCombination(action) {
+  return [...(action.modifiers || []), action.key || 'Enter'].join('+');
+}
+
+function describePause(action) {
+  const seconds = Math.round((action.duration || 0) / 1000);
+  return `Recording paused for ${seconds}s - steps performed during the pause were not recorded`;
+}
+
+function indentLines(lines, indent) {
+  return lines.map(line => (line ? indent + line : line));
+}
+
+// Expected values of JSON path assertions are JSON text; anything else is compared as a string
+function toJsonLiteral(text) {
+  try {
+    return JSON.stringify(JSON.parse(text));
+  } catch (e) {
+    return toJsString(text ?? '');
+  }
+}
+
+/**
+ * Quote a value as a single-quoted JavaScript/TypeScript string literal
+ */
+function toJsString(value) {
+  const str = String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+  return `'${str}'`;
+}
+
+/**
+ * Quote a value as a double-quoted string literal (valid in Python and Java)
+ */
+function toQuotedString(value) {
+  return JSON.stringify(String(value ?? ''));
+}
+
+/**
+ * Collapse text onto a single line for use in a generated code comment
+ */
+function toCommentText(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+// Make exporters available globally
 if (typeof window !== 'undefined') {
   window.exportToJSON = exportToJSON;
+  window.exportToPlaywright = exportToPlaywright;
+  window.exportToSeleniumPython = exportToSeleniumPython;
+  window.exportToSeleniumJava = exportToSeleniumJava;
+  window.exportToExcelWorkbook = exportToExcelWorkbook;
 }
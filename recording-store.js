@@ -0,0 +1,132 @@
+// Recording Store - IndexedDB storage for bulky recording data (upload fixtures, step screenshots, response bodies)
+// Loaded by the background service worker (importScripts) and the side panel
+
+const RECORDING_DB_NAME = 'actionRecorder';
+const RECORDING_DB_VERSION = 4;
+const FIXTURES_STORE = 'fixtures';
+const SCREENSHOTS_STORE = 'screenshots';
+const RESPONSES_STORE = 'responses';
+
+let recordingDbPromise = null;
+
+/**
+ * Open (and on first use create) the extension's IndexedDB database
+ */
+function openRecordingDb() {
+  if (!recordingDbPromise) {
+    recordingDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(RECORDING_DB_NAME, RECORDING_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(FIXTURES_STORE)) {
+          db.createObjectStore(FIXTURES_STORE, { keyPath: 'id' });
+        }
+        // Fixtures are linked to their recording since version 4
+        const fixtures = request.transaction.objectStore(FIXTURES_STORE);
+        if (!fixtures.indexNames.contains('recordingId')) {
+          fixtures.createIndex('recordingId', 'recordingId');
+        }
+        if (!db.objectStoreNames.contains(SCREENSHOTS_STORE)) {
+          db.createObjectStore(SCREENSHOTS_STORE, { keyPath: 'id' }).createIndex('recordingId', 'recordingId');
+        }
+        if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+          db.createObjectStore(RESPONSES_STORE, { keyPath: 'id' }).createIndex('recordingId', 'recordingId');
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the extension upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          recordingDbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        recordingDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return recordingDbPromise;
+}
+
+/**
+ * Run a single request against an object store and resolve with its result
+ */
+async function runStoreRequest(storeName, mode, makeRequest) {
+  const db = await openRecordingDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Save an uploaded file
+ * @param {{id: string, recordingId: string, name: string, type: string, size: number, data: string}} fixture - data is a data URL
+ */
+function putFixture(fixture) {
+  return runStoreRequest(FIXTURES_STORE, 'readwrite', store => store.put(fixture));
+}
+
+/**
+ * @returns {Promise<Object|undefined>} The stored fixture, or undefined if it is gone
+ */
+function getFixture(id) {
+  return runStoreRequest(FIXTURES_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Save a step screenshot
+ * @param {{id: string, recordingId: string, actionIndex: number, blob: Blob}} screenshot - id is `${recordingId}_${timestamp}`
+ */
+function putScreenshot(screenshot) {
+  return runStoreRequest(SCREENSHOTS_STORE, 'readwrite', store => store.put(screenshot));
+}
+
+/**
+ * @returns {Promise<Object|undefined>} The stored screenshot, or undefined if it is gone
+ */
+function getScreenshot(id) {
+  return runStoreRequest(SCREENSHOTS_STORE, 'readonly', store => store.get(id));
+}
+
+function deleteScreenshot(id) {
+  return runStoreRequest(SCREENSHOTS_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Save a captured fetch/XHR response body
+ * @param {{id: string, recordingId: string, body: string}} response - id is `${recordingId}_resp_${n}`
+ */
+function putResponseBody(response) {
+  return runStoreRequest(RESPONSES_STORE, 'readwrite', store => store.put(response));
+}
+
+/**
+ * @returns {Promise<Object|undefined>} The stored response body, or undefined if it is gone
+ */
+function getResponseBody(id) {
+  return runStoreRequest(RESPONSES_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Delete the fixtures, screenshots and response bodies stored for a recording
+ */
+async function deleteRecordingData(recordingId) {
+  const db = await openRecordingDb();
+  const storeNames = [FIXTURES_STORE, SCREENSHOTS_STORE, RESPONSES_STORE];
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    for (const storeName of storeNames) {
+      const store = transaction.objectStore(storeName);
+      store.index('recordingId').getAllKeys(recordingId).onsuccess = (event) => {
+        event.target.result.forEach(id => store.delete(id));
+      };
+    }
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
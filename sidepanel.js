@@ -11,10 +11,18 @@
     selectedSuite: null,
     selectedTestCase: null,
     isRecording: false,
+    isPaused: false,
+    isReplaying: false,
     recordedActions: [],
+    replayResults: [],
+    replayRow: null,
+    undoStack: [],
+    currentStepIndex: 0,
     currentTabId: null,
     extractedTestCases: null,
-    pendingUpload: null
+    pendingUpload: null,
+    screenshotUrls: {},
+    replaySecrets: {}
   };
   
   // ==================== DOM ELEMENTS ====================
@@ -30,20 +38,36 @@
     addNewSuiteBtn: document.getElementById('addNewSuiteBtn'),
     startBtn: document.getElementById('startBtn'),
     stopBtn: document.getElementById('stopBtn'),
+    pauseBtn: document.getElementById('pauseBtn'),
     recordingStatus: document.getElementById('recordingStatus'),
     recordingTools: document.getElementById('recordingTools'),
     actionsList: document.getElementById('actionsList'),
     actionCount: document.getElementById('actionCount'),
+    undoEditBtn: document.getElementById('undoEditBtn'),
+    currentStep: document.getElementById('currentStep'),
+    currentStepNumber: document.getElementById('currentStepNumber'),
+    currentStepDescription: document.getElementById('currentStepDescription'),
+    currentStepExpected: document.getElementById('currentStepExpected'),
+    prevStepBtn: document.getElementById('prevStepBtn'),
+    nextStepBtn: document.getElementById('nextStepBtn'),
     downloadSection: document.getElementById('downloadSection'),
+    replayBtn: document.getElementById('replayBtn'),
     downloadBtn: document.getElementById('downloadBtn'),
+    exportFormatSelect: document.getElementById('exportFormatSelect'),
     
     // Page Marker
     pageMarkerName: document.getElementById('pageMarkerName'),
     addPageMarkerBtn: document.getElementById('addPageMarkerBtn'),
     
     // Assertions
-    assertElementBtn: document.getElementById('assertElementBtn'),
-    assertTextBtn: document.getElementById('assertTextBtn'),
+    assertionTypeSelect: document.getElementById('assertionTypeSelect'),
+    assertionAttributeInput: document.getElementById('assertionAttributeInput'),
+    assertionCssInput: document.getElementById('assertionCssInput'),
+    assertionSelectorInput: document.getElementById('assertionSelectorInput'),
+    assertionMatchSelect: document.getElementById('assertionMatchSelect'),
+    assertionExpectedInput: document.getElementById('assertionExpectedInput'),
+    captureVariableInput: document.getElementById('captureVariableInput'),
+    addAssertionBtn: document.getElementById('addAssertionBtn'),
     assertionHint: document.getElementById('assertionHint'),
     
     // Add New Tab
@@ -59,7 +83,28 @@
     
     // History Tab
     testSuitesTree: document.getElementById('testSuitesTree'),
-    goToUploadBtn: document.getElementById('goToUploadBtn')
+    goToUploadBtn: document.getElementById('goToUploadBtn'),
+    exportWorkbookBtn: document.getElementById('exportWorkbookBtn'),
+    
+    // Settings Tab
+    rulesSuiteSelect: document.getElementById('rulesSuiteSelect'),
+    locatorRulesForm: document.getElementById('locatorRulesForm'),
+    preferredAttributesInput: document.getElementById('preferredAttributesInput'),
+    ignoredAttributesInput: document.getElementById('ignoredAttributesInput'),
+    dynamicIdPatternsInput: document.getElementById('dynamicIdPatternsInput'),
+    avoidClassPatternsInput: document.getElementById('avoidClassPatternsInput'),
+    resetRulesBtn: document.getElementById('resetRulesBtn'),
+    saveRulesBtn: document.getElementById('saveRulesBtn'),
+    storeUploadFixturesInput: document.getElementById('storeUploadFixturesInput'),
+    captureScreenshotsInput: document.getElementById('captureScreenshotsInput'),
+    networkCaptureSelect: document.getElementById('networkCaptureSelect'),
+    maskInputTypesInput: document.getElementById('maskInputTypesInput'),
+    maskAutocompleteInput: document.getElementById('maskAutocompleteInput'),
+    maskNamePatternsInput: document.getElementById('maskNamePatternsInput'),
+    maskValuePatternsInput: document.getElementById('maskValuePatternsInput'),
+    maskSelectorsInput: document.getElementById('maskSelectorsInput'),
+    resetMaskingBtn: document.getElementById('resetMaskingBtn'),
+    saveMaskingBtn: document.getElementById('saveMaskingBtn')
   };
   
   // ==================== INITIALIZATION ====================
@@ -74,6 +119,7 @@
     setupRecordTabListeners();
     setupAddNewTabListeners();
     setupHistoryTabListeners();
+    setupSettingsTabListeners();
     
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener(handleBackgroundMessage);
@@ -89,6 +135,12 @@
     renderTestSuiteDropdown();
     renderExistingSuites();
     renderHistoryTree();
+    renderRulesSuiteDropdown();
+    await loadRecordingOptions();
+    await loadMaskingPolicy();
+    
+    // Continue a recording started before the panel was (re)opened
+    await resyncRecordingState();
     
     console.log('[SidePanel] Initialization complete');
   }
@@ -160,6 +212,7 @@
     // Recording Controls
     elements.startBtn.addEventListener('click', startRecording);
     elements.stopBtn.addEventListener('click', stopRecording);
+    elements.pauseBtn.addEventListener('click', togglePause);
     
     // Page Marker
     elements.addPageMarkerBtn.addEventListener('click', addPageMarker);
@@ -167,9 +220,32 @@
       if (e.key === 'Enter') addPageMarker();
     });
     
+    // Test Steps
+    elements.prevStepBtn.addEventListener('click', () => setCurrentStep(state.currentStepIndex - 1));
+    elements.nextStepBtn.addEventListener('click', () => setCurrentStep(state.currentStepIndex + 1));
+    
     // Assertions
-    elements.assertElementBtn.addEventListener('click', () => startAssertion('element'));
-    elements.assertTextBtn.addEventListener('click', () => startAssertion('text'));
+    elements.assertionTypeSelect.addEventListener('change', renderAssertionOptions);
+    elements.addAssertionBtn.addEventListener('click', startAssertion);
+    renderAssertionOptions();
+    
+    // Action editing
+    elements.undoEditBtn.addEventListener('click', undoActionEdit);
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || e.shiftKey) return;
+      if (e.target.closest('input, textarea, select') || state.currentTab !== 'record') return;
+      e.preventDefault();
+      undoActionEdit();
+    });
+    
+    // Replay
+    elements.replayBtn.addEventListener('click', () => {
+      if (state.isReplaying) {
+        stopReplay();
+      } else {
+        startReplay();
+      }
+    });
     
     // Download
     elements.downloadBtn.addEventListener('click', downloadRecording);
@@ -227,6 +303,7 @@
     
     if (selectedIndex === '') {
       state.selectedTestCase = null;
+      renderCurrentStep();
       elements.startBtn.disabled = true;
       updateRecordingStatus('Select a test case to begin');
       return;
@@ -234,7 +311,22 @@
     
     state.selectedTestCase = state.selectedSuite.testCases[selectedIndex];
     elements.startBtn.disabled = false;
-    updateRecordingStatus('Ready to record');
+    
+    // Show the last saved take for this test case
+    releaseScreenshotUrls();
+    state.recordedActions = state.selectedTestCase.actions || [];
+    state.replayResults = [];
+    state.undoStack = [];
+    state.currentStepIndex = 0;
+    renderCurrentStep();
+    renderActions();
+    elements.downloadSection.style.display = state.recordedActions.length > 0 ? 'block' : 'none';
+    
+    if (state.recordedActions.length > 0) {
+      updateRecordingStatus(`Saved recording (revision ${state.selectedTestCase.revision || 1}) - ready to re-record`);
+    } else {
+      updateRecordingStatus('Ready to record');
+    }
     
     console.log('[SidePanel] Selected test case:', state.selectedTestCase.name);
   }
@@ -248,30 +340,29 @@
     console.log('[SidePanel] Starting recording...');
     
     state.isRecording = true;
+    releaseScreenshotUrls();
     state.recordedActions = [];
-    
-    // Update UI
-    elements.startBtn.style.display = 'none';
-    elements.stopBtn.style.display = 'flex';
-    elements.stopBtn.disabled = false;
-    elements.recordingTools.style.display = 'block';
-    elements.downloadSection.style.display = 'none';
-    
-    // Disable dropdowns during recording
-    elements.testSuiteSelect.disabled = true;
-    elements.testCaseSelect.disabled = true;
-    
-    updateRecordingStatus('Recording...', true);
+    state.replayResults = [];
+    state.undoStack = [];
+    state.currentStepIndex = 0;
+    renderCurrentStep();
+    showRecordingControls();
     
     // Clear actions list and show empty state temporarily
     renderActions();
     
     // Tell background script to start recording
     try {
+      // Content scripts build locators with this suite's rules
+      await syncActiveLocatorRules();
+      
       await chrome.runtime.sendMessage({
         type: 'START_RECORDING',
         tabId: state.currentTabId,
-        name: `${state.selectedSuite.name} - ${state.selectedTestCase.name}`
+        name: `${state.selectedSuite.name} - ${state.selectedTestCase.name}`,
+        testSuite: state.selectedSuite.name,
+        testCase: state.selectedTestCase.name,
+        step: getCurrentStep()?.number || null
       });
       
       console.log('[SidePanel] Recording started successfully');
@@ -281,14 +372,119 @@
     }
   }
   
+  function showRecordingControls() {
+    elements.startBtn.style.display = 'none';
+    elements.stopBtn.style.display = 'flex';
+    elements.stopBtn.disabled = false;
+    elements.pauseBtn.style.display = 'flex';
+    elements.recordingTools.style.display = 'block';
+    elements.downloadSection.style.display = 'none';
+    
+    // Disable dropdowns during recording
+    elements.testSuiteSelect.disabled = true;
+    elements.testCaseSelect.disabled = true;
+    
+    updatePauseControls();
+  }
+  
+  // ==================== PAUSE / RESUME ====================
+  async function togglePause() {
+    if (!state.isRecording) return;
+    
+    const pausing = !state.isPaused;
+    elements.pauseBtn.disabled = true;
+    
+    try {
+      await chrome.runtime.sendMessage({ type: pausing ? 'PAUSE_RECORDING' : 'RESUME_RECORDING' });
+      state.isPaused = pausing;
+      console.log('[SidePanel] Recording', pausing ? 'paused' : 'resumed');
+    } catch (error) {
+      console.error('[SidePanel] Error toggling pause:', error);
+    }
+    
+    elements.pauseBtn.disabled = false;
+    updatePauseControls();
+  }
+  
+  /**
+   * While paused the page can be used freely; page markers and assertions are unavailable
+   */
+  function updatePauseControls() {
+    elements.pauseBtn.classList.toggle('active', state.isPaused);
+    elements.pauseBtn.querySelector('.btn-label').textContent = state.isPaused ? 'Resume' : 'Pause';
+    
+    elements.addPageMarkerBtn.disabled = state.isPaused;
+    elements.pageMarkerName.disabled = state.isPaused;
+    elements.addAssertionBtn.disabled = state.isPaused;
+    
+    if (state.isPaused) {
+      elements.assertionHint.style.display = 'none';
+      elements.addAssertionBtn.classList.remove('active');
+      updateRecordingStatus('Paused - nothing is captured until you resume');
+    } else {
+      updateRecordingStatus('Recording...', true);
+    }
+  }
+  
+  /**
+   * Pick up a recording that is still running in the background,
+   * e.g. after the side panel was reopened or the service worker restarted
+   */
+  async function resyncRecordingState() {
+    let status;
+    try {
+      status = await chrome.runtime.sendMessage({ type: 'GET_STATUS' });
+    } catch (error) {
+      console.error('[SidePanel] Error getting recording status:', error);
+      return;
+    }
+    
+    if (!status?.isRecording) return;
+    
+    const recording = status.currentRecording;
+    
+    // Reselect the test case being recorded
+    if (!state.isRecording) {
+      const suiteIndex = state.testSuites.findIndex(suite => suite.name === recording.testSuite);
+      if (suiteIndex !== -1) {
+        elements.testSuiteSelect.value = suiteIndex;
+        handleTestSuiteChange();
+        
+        const caseIndex = state.selectedSuite.testCases.findIndex(testCase => testCase.name === recording.testCase);
+        if (caseIndex !== -1) {
+          elements.testCaseSelect.value = caseIndex;
+          handleTestCaseChange();
+        }
+      }
+    }
+    
+    // The background copy is the source of truth
+    state.isRecording = true;
+    state.isPaused = !!status.isPaused;
+    state.currentTabId = status.activeTabId;
+    state.recordedActions = recording.actions || [];
+    state.replayResults = [];
+    
+    const steps = state.selectedTestCase?.steps || [];
+    state.currentStepIndex = Math.max(steps.findIndex(step => step.number === status.currentStep), 0);
+    renderCurrentStep();
+    showRecordingControls();
+    renderActions();
+    
+    console.log('[SidePanel] Resynced recording:', recording.name, state.recordedActions.length, 'actions');
+  }
+  
   async function stopRecording() {
     console.log('[SidePanel] Stopping recording...');
     
     state.isRecording = false;
+    state.isPaused = false;
+    updatePauseControls();
     
     // Update UI
     elements.startBtn.style.display = 'flex';
     elements.stopBtn.style.display = 'none';
+    elements.pauseBtn.style.display = 'none';
     elements.recordingTools.style.display = 'none';
     
     // Re-enable dropdowns
@@ -311,12 +507,56 @@
       if (response.recording && response.recording.actions) {
         state.recordedActions = response.recording.actions;
         renderActions();
+        
+        // Persist the take onto the selected test case
+        await saveRecordingToTestCase(state.selectedTestCase, response.recording);
       }
     } catch (error) {
       console.error('[SidePanel] Error stopping recording:', error);
     }
   }
   
+  // ==================== RECORDING PERSISTENCE ====================
+  /**
+   * Save a finished recording onto its test case.
+   * The previous take (if any) is moved into testCase.revisions so re-recording never loses work.
+   */
+  async function saveRecordingToTestCase(testCase, recording) {
+    if (!testCase || !recording || !recording.actions || recording.actions.length === 0) {
+      // Nothing links to the stored files of a take that is not kept
+      if (recording?.id) {
+        deleteRecordingData(recording.id).catch(error => {
+          console.error('[SidePanel] Error deleting unsaved recording data:', error);
+        });
+      }
+      return;
+    }
+    
+    if (testCase.actions && testCase.actions.length > 0) {
+      testCase.revisions = testCase.revisions || [];
+      testCase.revisions.push({
+        revision: testCase.revision || testCase.revisions.length + 1,
+        recordingId: testCase.recordingId || null,
+        actions: testCase.actions,
+        url: testCase.url || '',
+        startTime: testCase.startTime || null,
+        endTime: testCase.endTime || null
+      });
+    }
+    
+    testCase.revision = (testCase.revisions?.length || 0) + 1;
+    testCase.recordingId = recording.id || null;
+    testCase.actions = recording.actions;
+    testCase.url = recording.url || '';
+    testCase.startTime = recording.startTime || null;
+    testCase.endTime = recording.endTime || Date.now();
+    
+    await saveTestSuites();
+    renderHistoryTree();
+    
+    console.log('[SidePanel] Saved recording to test case:', testCase.name, 'revision', testCase.revision);
+  }
+  
   function updateRecordingStatus(text, isRecording = false) {
     const statusIndicator = elements.recordingStatus.querySelector('.status-indicator');
     const statusText = elements.recordingStatus.querySelector('.status-text');
@@ -356,35 +596,302 @@
     }
   }
   
-  async function startAssertion(type) {
-    console.log('[SidePanel] Starting assertion:', type);
-    
-    // Show hint
-    elements.assertionHint.style.display = 'flex';
+  /**
+   * Show only the picker inputs the selected assertion type uses
+   */
+  function renderAssertionOptions() {
+    const type = elements.assertionTypeSelect.value;
+    elements.assertionTypeSelect.parentElement.querySelectorAll('[data-assertion-types]').forEach(input => {
+      input.style.display = input.dataset.assertionTypes.split(' ').includes(type) ? '' : 'none';
+    });
+    elements.addAssertionBtn.querySelector('.btn-label').textContent = PAGE_ASSERTION_TYPES.includes(type) ? 'Add Assertion' : 'Pick Element';
+    elements.assertionHint.querySelector('.assertion-hint-text').textContent = type === 'capture'
+      ? 'Click the element whose text or value to capture...'
+      : 'Click an element on the page to assert...';
+  }
+  
+  async function startAssertion() {
+    const type = elements.assertionTypeSelect.value;
+    const options = {
+      attributeName: elements.assertionAttributeInput.value.trim(),
+      cssProperty: elements.assertionCssInput.value.trim(),
+      selector: elements.assertionSelectorInput.value.trim(),
+      match: elements.assertionMatchSelect.value,
+      expected: elements.assertionExpectedInput.value,
+      variable: elements.captureVariableInput.value.trim()
+    };
     
-    // Highlight active button
-    if (type === 'element') {
-      elements.assertElementBtn.classList.add('active');
-      elements.assertTextBtn.classList.remove('active');
-    } else {
-      elements.assertTextBtn.classList.add('active');
-      elements.assertElementBtn.classList.remove('active');
+    if (type === 'capture' && !isValidVariableName(options.variable)) {
+      alert('Enter a variable name made of letters, digits and underscores, not starting with a digit (e.g. orderId).');
+      return;
+    }
+    if (type === 'attribute' && !options.attributeName) {
+      alert('Enter the attribute name to check.');
+      return;
+    }
+    if (type === 'css' && !options.cssProperty) {
+      alert('Enter the CSS property to check.');
+      return;
+    }
+    if (['text', 'url', 'title'].includes(type) && options.match === 'regex') {
+      try {
+        new RegExp(options.expected);
+      } catch (e) {
+        alert(`Invalid regular expression: ${options.expected}`);
+        return;
+      }
+    }
+    console.log('[SidePanel] Starting assertion:', type, options);
+    
+    // URL and title are read from the tab; no element to pick
+    if (PAGE_ASSERTION_TYPES.includes(type)) {
+      try {
+        await chrome.runtime.sendMessage({
+          type: 'ADD_PAGE_ASSERTION',
+          assertion: { assertionType: type, match: options.match, expectedValue: options.expected }
+        });
+      } catch (error) {
+        console.error('[SidePanel] Error adding page assertion:', error);
+      }
+      return;
     }
     
+    // Show hint and highlight the button until the element is picked
+    elements.assertionHint.style.display = 'flex';
+    elements.addAssertionBtn.classList.add('active');
+    
     // Tell content script to start assertion mode
     try {
       await chrome.tabs.sendMessage(state.currentTabId, {
         type: 'ENTER_ASSERTION_MODE',
-        assertionType: type
+        assertionType: type,
+        options
       });
     } catch (error) {
       console.error('[SidePanel] Error starting assertion:', error);
       elements.assertionHint.style.display = 'none';
+      elements.addAssertionBtn.classList.remove('active');
     }
   }
   
+  // Variables are referenced as {{name}}; "secret" is reserved for masked values ({{secret.name}})
+  function isValidVariableName(name) {
+    return /^[A-Za-z_]\w*$/.test(name.trim()) && name.trim() !== 'secret';
+  }
+  
+  /**
+   * Apply changes to a recorded action
+   * While recording the background copy is updated too; otherwise the change is saved on the test case
+   */
+  async function updateAction(index, changes) {
+    const action = state.recordedActions[index];
+    if (!action) return;
+    
+    if (!state.isRecording) pushUndoSnapshot();
+    Object.assign(action, changes);
+    
+    if (state.isRecording) {
+      try {
+        await chrome.runtime.sendMessage({ type: 'UPDATE_ACTION', index, changes });
+      } catch (error) {
+        console.error('[SidePanel] Error updating action:', error);
+      }
+    } else {
+      await persistActionEdits();
+    }
+    
+    renderActions();
+  }
+  
+  // ==================== REPLAY ====================
+  async function startReplay() {
+    if (state.isRecording || state.recordedActions.length === 0) return;
+    
+    console.log('[SidePanel] Starting replay...');
+    
+    const recording = buildExportRecording();
+    const secrets = askForSecrets(recording.actions);
+    if (!secrets) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'START_REPLAY',
+        tabId: state.currentTabId,
+        recording,
+        secrets
+      });
+      
+      if (!response?.success) {
+        alert(`Cannot start replay: ${response?.error || 'unknown error'}`);
+        return;
+      }
+    } catch (error) {
+      console.error('[SidePanel] Error starting replay:', error);
+      return;
+    }
+    
+    state.isReplaying = true;
+    state.replayResults = [];
+    state.replayRow = null;
+    renderActions();
+    updateReplayControls();
+    updateRecordingStatus('Replaying...', true);
+  }
+  
+  /**
+   * Values for the recording's masked secrets, asked for once while the side panel stays open
+   * @returns {Object|null} Secret values by name, or null if the user cancelled
+   */
+  function askForSecrets(actions) {
+    for (const name of getSecretNames(actions)) {
+      if (name in state.replaySecrets) continue;
+      const value = prompt(`Value for {{secret.${name}}} (kept until the side panel is closed):`);
+      if (value === null) return null;
+      state.replaySecrets[name] = value;
+    }
+    return state.replaySecrets;
+  }
+  
+  async function stopReplay() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'STOP_REPLAY' });
+    } catch (error) {
+      console.error('[SidePanel] Error stopping replay:', error);
+    }
+  }
+  
+  function updateReplayControls() {
+    elements.replayBtn.classList.toggle('active', state.isReplaying);
+    elements.replayBtn.querySelector('.btn-label').textContent = state.isReplaying ? 'Stop Replay' : 'Replay Recording';
+    elements.startBtn.disabled = state.isReplaying || !state.selectedTestCase;
+    elements.testSuiteSelect.disabled = state.isReplaying;
+    elements.testCaseSelect.disabled = state.isReplaying;
+  }
+  
+  function handleReplayComplete(message) {
+    state.isReplaying = false;
+    updateReplayControls();
+    
+    const steps = state.recordedActions.length;
+    const rowResults = message.results.filter(r => r.row === state.replayRow);
+    const passedSteps = rowResults.filter(r => r.success).length;
+    const seconds = (message.duration / 1000).toFixed(1);
+    const rowLabel = message.rowCount > 1 ? ` on data row ${state.replayRow + 1}/${message.rowCount}` : '';
+    
+    if (message.stopped) {
+      updateRecordingStatus(`Replay stopped after ${passedSteps}/${steps} steps${rowLabel}`);
+    } else if (message.passed) {
+      const rows = message.rowCount > 1 ? ` x ${message.rowCount} data rows` : '';
+      updateRecordingStatus(`Replay passed: ${steps} steps${rows} in ${seconds}s`);
+    } else {
+      updateRecordingStatus(`Replay failed at step ${rowResults.length}${rowLabel} (${passedSteps}/${steps} passed)`);
+    }
+    
+    console.log('[SidePanel] Replay complete:', message.passed ? 'passed' : 'failed');
+  }
+  
+  /**
+   * Save a replacement element the user accepted during replay and
+   * record it in the test case's healing audit trail
+   */
+  async function applyHealedLocator(result) {
+    const action = state.recordedActions[result.index];
+    const testCase = state.selectedTestCase;
+    if (!action || !testCase) return;
+    
+    const { changes, confidence, matched } = result.healed;
+    
+    testCase.healingLog = testCase.healingLog || [];
+    testCase.healingLog.push({
+      timestamp: Date.now(),
+      actionIndex: result.index,
+      description: action.description || null,
+      revision: testCase.revision || 1,
+      confidence,
+      matched,
+      previous: { xpath: action.xpath || null, fullXPath: action.fullXPath || null },
+      healed: { xpath: changes.xpath, fullXPath: changes.fullXPath }
+    });
+    
+    await updateAction(result.index, changes);
+    renderHistoryTree();
+    
+    console.log('[SidePanel] Healed locator for action', result.index, action.xpath, '->', changes.xpath);
+  }
+  
+  function formatDuration(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+  }
+  
+  // ==================== TEST STEPS ====================
+  function getCurrentStep() {
+    return state.selectedTestCase?.steps?.[state.currentStepIndex] || null;
+  }
+  
+  /**
+   * Move to another expected step; new actions and page markers are linked to it
+   */
+  async function setCurrentStep(stepIndex) {
+    const steps = state.selectedTestCase?.steps || [];
+    if (stepIndex < 0 || stepIndex >= steps.length) return;
+    
+    state.currentStepIndex = stepIndex;
+    renderCurrentStep();
+    
+    if (state.isRecording) {
+      try {
+        await chrome.runtime.sendMessage({ type: 'SET_CURRENT_STEP', step: steps[stepIndex].number });
+      } catch (error) {
+        console.error('[SidePanel] Error setting current step:', error);
+      }
+    }
+  }
+  
+  function renderCurrentStep() {
+    const steps = state.selectedTestCase?.steps || [];
+    const step = getCurrentStep();
+    
+    if (!step) {
+      elements.currentStep.style.display = 'none';
+      return;
+    }
+    
+    elements.currentStep.style.display = 'flex';
+    elements.currentStepNumber.textContent = `Step ${step.number} (${state.currentStepIndex + 1}/${steps.length})`;
+    elements.currentStepDescription.textContent = step.description;
+    elements.currentStepExpected.textContent = step.expectedResult ? `Expected: ${step.expectedResult}` : '';
+    elements.currentStepExpected.style.display = step.expectedResult ? 'block' : 'none';
+    elements.prevStepBtn.disabled = state.currentStepIndex === 0;
+    elements.nextStepBtn.disabled = state.currentStepIndex >= steps.length - 1;
+  }
+  
   // ==================== ACTION RENDERING ====================
+  const ASSERTION_LABELS = {
+    element: 'Element',
+    visible: 'Visible',
+    hidden: 'Hidden',
+    enabled: 'Enabled',
+    disabled: 'Disabled',
+    checked: 'Checked',
+    text: 'Text',
+    value: 'Value',
+    attribute: 'Attribute',
+    css: 'CSS',
+    count: 'Count',
+    url: 'URL',
+    title: 'Title',
+    noErrors: 'No Console Errors',
+    response: 'Response'
+  };
+  
+  // Response body characters shown per captured request in the action details
+  const NETWORK_BODY_PREVIEW_LENGTH = 300;
+  
+  const ASSERTION_MATCH_OPTIONS = { contains: 'Contains', equals: 'Equals', regex: 'Matches regex' };
+  const CAPTURE_SOURCE_OPTIONS = { text: 'Text', value: 'Input value' };
+  
   function renderActions() {
+    updateUndoButton();
     elements.actionCount.textContent = `${state.recordedActions.length} action${state.recordedActions.length !== 1 ? 's' : ''}`;
     
     if (state.recordedActions.length === 0) {
@@ -402,13 +909,22 @@
     
     elements.actionsList.innerHTML = '';
     
+    const editable = canEditActions();
     state.recordedActions.forEach((action, index) => {
       const actionItem = createActionElement(action, index);
+      if (editable) attachEditTools(actionItem, action, index);
       elements.actionsList.appendChild(actionItem);
     });
     
-    // Scroll to bottom to show latest action
-    elements.actionsList.scrollTop = elements.actionsList.scrollHeight;
+    // Follow the replayed step, otherwise scroll to bottom to show latest action
+    const replayedItem = state.isReplaying
+      ? elements.actionsList.querySelector(`[data-index="${state.replayResults.length - 1}"]`)
+      : null;
+    if (replayedItem) {
+      replayedItem.scrollIntoView({ block: 'nearest' });
+    } else {
+      elements.actionsList.scrollTop = elements.actionsList.scrollHeight;
+    }
   }
   
   function createActionElement(action, index) {
@@ -431,6 +947,21 @@
           <div class="action-summary page-marker-summary">
             <span class="action-icon">${actionIcon}</span>
             <span class="action-text">${escapeHtml(actionSummary)}</span>
+            ${action.step ? `<span class="step-chip">Step ${escapeHtml(action.step)}</span>` : ''}
+          </div>
+        </div>
+      `;
+      
+      return item;
+    }
+    
+    if (action.type === 'pause') {
+      item.classList.add('pause-marker');
+      item.innerHTML = `
+        <div class="action-header">
+          <div class="action-summary page-marker-summary">
+            <span class="action-icon">⏸</span>
+            <span class="action-text">Paused for ${formatDuration(action.duration || 0)} - actions in this gap were not recorded</span>
           </div>
         </div>
       `;
@@ -441,8 +972,10 @@
     if (action.type === 'assertion') {
       actionTypeClass = 'action-assertion';
       actionIcon = '✓';
-      actionSummary = `Assert ${action.assertionType === 'text' ? 'Text' : 'Element'}`;
-      if (action.expectedValue) {
+      actionSummary = `Assert ${ASSERTION_LABELS[action.assertionType] || 'Element'}`;
+      if (action.description) {
+        actionSummary += ` - ${action.description}`;
+      } else if (action.expectedValue) {
         actionSummary += ` - "${action.expectedValue}"`;
       }
     } else {
@@ -458,28 +991,63 @@
     
     item.classList.add(actionTypeClass);
     
+    const replayResult = state.replayResults[index];
+    if (replayResult && !replayResult.success) item.classList.add('replay-failed');
+    const replayBadge = replayResult
+      ? `<span class="replay-badge ${replayResult.success ? 'pass' : 'fail'}">${replayResult.success ? '✓' : '✗'} ${formatDuration(replayResult.duration)}</span>${replayResult.healed ? `<span class="replay-badge healed" title="Locator repaired during replay">healed</span>` : ''}`
+      : '';
+    // Console errors and uncaught exceptions after the step: from the last replay if it ran, else from recording
+    const stepErrors = (replayResult ? replayResult.errors : action.errors) || [];
+    const errorBadge = stepErrors.length > 0
+      ? `<span class="error-badge" title="Console errors after this step">⚠ ${stepErrors.length}</span>`
+      : '';
+    
+    // Data binding: input/select values can come from a worksheet column
+    const parameters = state.selectedTestCase?.parameters || [];
+    const canBind = parameters.length > 0 && ['input', 'select'].includes(action.type);
+    const bindSelect = canBind ? `
+      <select class="param-bind" title="Bind value to a data column">
+        <option value="">Literal value</option>
+        ${parameters.map(p => `<option value="${escapeHtml(p)}" ${action.parameter === p ? 'selected' : ''}>{{${escapeHtml(p)}}}</option>`).join('')}
+      </select>
+    ` : '';
+    
     // Extract iframe and shadow info
     const iframeInfo = extractIframeInfo(action);
     const shadowInfo = extractShadowInfo(action);
     const elementTag = action.element?.tag || '';
     
     // Create expand/collapse functionality
-    const hasDetails = action.xpath || iframeInfo || shadowInfo.levels > 0;
+    const hasDetails = action.xpath || iframeInfo || shadowInfo.levels > 0 || action.network?.length > 0 || action.request || stepErrors.length > 0;
     
     item.innerHTML = `
       <div class="action-header" ${hasDetails ? 'style="cursor: pointer;"' : ''}>
         <div class="action-summary">
           ${hasDetails ? '<span class="expand-arrow">▶</span>' : ''}
           <span class="action-text">${escapeHtml(actionSummary)}</span>
+          ${action.step ? `<span class="step-chip">Step ${escapeHtml(action.step)}</span>` : ''}
+          ${replayBadge}
+          ${errorBadge}
         </div>
+        ${action.screenshotId ? '<img class="action-thumb" alt="" title="Open step screenshot">' : ''}
+        ${bindSelect}
       </div>
       ${hasDetails ? `
         <div class="action-details">
+          ${replayResult?.error ? `<div class="detail-row replay-error"><span class="detail-label">replay error:</span> <span class="detail-value">${escapeHtml(replayResult.error)}</span></div>` : ''}
           ${action.xpath ? `<div class="detail-row"><span class="detail-label">xpath:</span> <span class="detail-value">${escapeHtml(action.xpath)}</span></div>` : ''}
+          ${(action.locators || []).map(l => `
+            <div class="detail-row"><span class="detail-label">${escapeHtml(l.strategy)} (${l.unique ? l.score : 'not unique'}):</span> <span class="detail-value">${escapeHtml(l.value)}</span></div>
+          `).join('')}
           ${action.type ? `<div class="detail-row"><span class="detail-label">action:</span> <span class="detail-value">${escapeHtml(action.type)}</span></div>` : ''}
           ${elementTag ? `<div class="detail-row"><span class="detail-label">element:</span> <span class="detail-value">${escapeHtml(elementTag)}</span></div>` : ''}
-          ${action.key ? `<div class="detail-row"><span class="detail-label">key:</span> <span class="detail-value">${escapeHtml(action.key)}</span></div>` : ''}
+          ${action.key ? `<div class="detail-row"><span class="detail-label">key:</span> <span class="detail-value">${escapeHtml([...(action.modifiers || []), action.key].join('+'))}</span></div>` : ''}
+          ${action.target?.xpath ? `<div class="detail-row"><span class="detail-label">drop target:</span> <span class="detail-value">${escapeHtml(action.target.xpath)}</span></div>` : ''}
+          ${action.files ? `<div class="detail-row"><span class="detail-label">files:</span> <span class="detail-value">${escapeHtml(action.files.map(formatUploadedFile).join(', '))}</span></div>` : ''}
           ${action.value ? `<div class="detail-row"><span class="detail-label">value:</span> <span class="detail-value">${escapeHtml(action.value)}</span></div>` : ''}
+          ${action.parameter ? `<div class="detail-row"><span class="detail-label">parameter:</span> <span class="detail-value">{{${escapeHtml(action.parameter)}}}</span></div>` : ''}
+          ${action.pageId ? `<div class="detail-row"><span class="detail-label">tab:</span> <span class="detail-value">${escapeHtml(action.pageId)}</span></div>` : ''}
+          ${action.opensPage ? `<div class="detail-row"><span class="detail-label">opens tab:</span> <span class="detail-value">${escapeHtml(action.opensPage)}</span></div>` : ''}
           ${iframeInfo ? `<div class="detail-row"><span class="detail-label">iframe:</span> <span class="detail-value">${escapeHtml(iframeInfo)}</span></div>` : ''}
           ${shadowInfo.levels > 0 ? `<div class="detail-row"><span class="detail-label">shadow levels:</span> <span class="detail-value">${shadowInfo.levels}</span></div>` : ''}
           ${shadowInfo.hosts && shadowInfo.hosts.length > 0 ? shadowInfo.hosts.map((h, i) => `
@@ -489,10 +1057,35 @@
           `).join('') : ''}
           ${action.assertionType ? `<div class="detail-row"><span class="detail-label">assertion type:</span> <span class="detail-value">${escapeHtml(action.assertionType)}</span></div>` : ''}
           ${action.expectedValue ? `<div class="detail-row"><span class="detail-label">expected:</span> <span class="detail-value">${escapeHtml(action.expectedValue)}</span></div>` : ''}
+          ${action.variable ? `<div class="detail-row"><span class="detail-label">variable:</span> <span class="detail-value">{{${escapeHtml(action.variable)}}} (${escapeHtml(action.source || 'text')})</span></div>` : ''}
+          ${action.capturedValue ? `<div class="detail-row"><span class="detail-label">captured:</span> <span class="detail-value">${escapeHtml(action.capturedValue)}</span></div>` : ''}
+          ${action.waitFor?.length ? `<div class="detail-row"><span class="detail-label">waits for:</span> <span class="detail-value">${escapeHtml(action.waitFor.map(formatStepWait).join(', '))}</span></div>` : ''}
+          ${action.request ? `<div class="detail-row"><span class="detail-label">request:</span> <span class="detail-value">${escapeHtml(`${action.request.method} ${action.request.url}`)}</span></div>` : ''}
+          ${action.network?.length ? renderNetworkEntries(action.network) : ''}
+          ${stepErrors.length ? `<div class="detail-row page-errors"><span class="detail-label">errors:</span> <span class="detail-value">${stepErrors.map(e => escapeHtml(formatPageError(e))).join('<br>')}</span></div>` : ''}
         </div>
       ` : ''}
     `;
     
+    if (canBind) {
+      const select = item.querySelector('.param-bind');
+      select.addEventListener('click', (e) => e.stopPropagation());
+      select.addEventListener('change', () => {
+        updateAction(index, { parameter: select.value || null });
+      });
+    }
+    
+    if (action.screenshotId) {
+      attachScreenshotThumb(item.querySelector('.action-thumb'), action.screenshotId);
+    }
+    
+    item.querySelectorAll('.network-assert').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openResponseAssertionEditor(item, index, action.network[button.dataset.entry]);
+      });
+    });
+    
     // Add click handler for expand/collapse
     if (hasDetails) {
       const header = item.querySelector('.action-header');
@@ -504,6 +1097,169 @@
     return item;
   }
   
+  /**
+   * The fetch/XHR traffic captured after a step, each response with a button to assert on it
+   */
+  function renderNetworkEntries(entries) {
+    return `
+      <div class="network-list">
+        ${entries.map((entry, i) => `
+          <div class="network-entry">
+            <div class="detail-row">
+              <span class="network-status ${!entry.status || entry.status >= 400 ? 'error' : ''}">${entry.status || 'failed'}</span>
+              <span class="detail-value">${escapeHtml(`${entry.method} ${entry.url}`)}${entry.mock ? ' (mocked)' : ''}</span>
+              ${canEditActions() ? `<button class="network-assert" data-entry="${i}" title="Assert on this response">Assert</button>` : ''}
+            </div>
+            ${renderNetworkBodyPreview(entry)}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+  
+  // Recordings made before bodies moved to IndexedDB keep the whole body on the entry
+  function renderNetworkBodyPreview(entry) {
+    const preview = (entry.bodyPreview ?? entry.responseBody ?? '').slice(0, NETWORK_BODY_PREVIEW_LENGTH);
+    if (!preview) return '';
+    const length = entry.bodyLength ?? entry.responseBody?.length ?? preview.length;
+    return `<pre class="network-body">${escapeHtml(preview)}${entry.truncated || length > preview.length ? '…' : ''}</pre>`;
+  }
+  
+  /**
+   * The whole captured body of a response, read from IndexedDB; null when it was not kept
+   */
+  async function loadResponseBody(entry) {
+    if (!entry.bodyId) return entry.responseBody ?? null;
+    const stored = await getResponseBody(entry.bodyId);
+    return stored?.body ?? null;
+  }
+  
+  /**
+   * Copy of the actions with their captured response bodies filled back in, for the exporters
+   * A body that is gone is replaced by its preview and marked truncated
+   */
+  async function withResponseBodies(actions) {
+    return Promise.all(actions.map(async (action) => {
+      if (!action.network?.some(entry => entry.bodyId)) return action;
+      
+      const network = await Promise.all(action.network.map(async (entry) => {
+        if (!entry.bodyId) return entry;
+        const { bodyId, bodyPreview, bodyLength, ...rest } = entry;
+        let body = null;
+        try {
+          body = await loadResponseBody(entry);
+        } catch (error) {
+          console.error('[SidePanel] Error reading response body:', bodyId, error);
+        }
+        return body === null ? { ...rest, responseBody: bodyPreview, truncated: true } : { ...rest, responseBody: body };
+      }));
+      return { ...action, network };
+    }));
+  }
+  
+  /**
+   * Turn a captured response into a response assertion right after the step that triggered it
+   */
+  async function openResponseAssertionEditor(item, index, captured) {
+    let responseBody = null;
+    try {
+      responseBody = await loadResponseBody(captured);
+    } catch (error) {
+      console.error('[SidePanel] Error reading response body:', captured.bodyId, error);
+    }
+    const entry = { ...captured, responseBody, truncated: Boolean(captured.truncated || (captured.bodyId && responseBody === null)) };
+    const fields = [
+      { key: 'expectedStatus', label: 'Expected status', type: 'number', value: String(entry.status) },
+      { key: 'jsonPath', label: 'JSON path (optional)', value: '' },
+      { key: 'expectedValue', label: 'Expected JSON value (empty: as captured)', value: '' }
+    ];
+    
+    openActionEditor(item, fields, (values) => {
+      const trigger = state.recordedActions[index];
+      const step = {
+        manual: true,
+        timestamp: Date.now(),
+        type: 'assertion',
+        assertionType: 'response',
+        request: { method: entry.method, url: entry.url },
+        pageId: trigger.pageId,
+        step: trigger.step || null
+      };
+      // Selenium exports look the response up in the frame the triggering step ran in
+      if (trigger.iframe) step.iframe = trigger.iframe;
+      if (!applyResponseExpectation(step, values, entry)) return false;
+      commitActionEdit(actions => actions.splice(index + 1, 0, step));
+    });
+  }
+  
+  /**
+   * Set a response assertion's expected status and JSON path value from editor values.
+   * With a captured response, an empty expected value takes the value found in it.
+   */
+  function applyResponseExpectation(action, values, entry = null) {
+    const jsonPath = (values.jsonPath || '').trim();
+    let expectedValue = (values.expectedValue || '').trim();
+    
+    if (jsonPath && !expectedValue && entry) {
+      try {
+        expectedValue = JSON.stringify(readJsonPath(JSON.parse(entry.responseBody), jsonPath)) ?? '';
+      } catch (e) {
+        expectedValue = '';
+      }
+      if (!expectedValue) {
+        alert(`${jsonPath} was not found in the captured response${entry.truncated ? ' (its body was cut short)' : ''}. Please enter the expected value.`);
+        return false;
+      }
+    }
+    if (jsonPath) {
+      // Replay and the exports compare against compact JSON.stringify output
+      try {
+        expectedValue = JSON.stringify(JSON.parse(expectedValue));
+      } catch (e) {
+        alert('The expected value must be JSON, e.g. 42, "text", true or null.');
+        return false;
+      }
+    }
+    
+    action.expectedStatus = parseInt(values.expectedStatus, 10) || null;
+    action.jsonPath = jsonPath || null;
+    action.expectedValue = jsonPath ? expectedValue : null;
+    action.description = describeResponseAssertion(action);
+    return true;
+  }
+  
+  /**
+   * Fill a step thumbnail from IndexedDB; clicking it opens the full screenshot in a tab
+   */
+  async function attachScreenshotThumb(img, screenshotId) {
+    img.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (img.src) chrome.tabs.create({ url: img.src });
+    });
+    
+    try {
+      img.src = await getScreenshotUrl(screenshotId);
+    } catch (error) {
+      console.error('[SidePanel] Error loading step screenshot:', error);
+      img.remove();
+    }
+  }
+  
+  async function getScreenshotUrl(screenshotId) {
+    if (!state.screenshotUrls[screenshotId]) {
+      const screenshot = await getScreenshot(screenshotId);
+      if (!screenshot) throw new Error(`Screenshot ${screenshotId} is missing`);
+      state.screenshotUrls[screenshotId] = URL.createObjectURL(screenshot.blob);
+    }
+    return state.screenshotUrls[screenshotId];
+  }
+  
+  // Thumbnails of the action list being replaced are not shown again
+  function releaseScreenshotUrls() {
+    Object.values(state.screenshotUrls).forEach(url => URL.revokeObjectURL(url));
+    state.screenshotUrls = {};
+  }
+  
   function extractIframeInfo(action) {
     if (!action.iframe) return null;
     
@@ -545,7 +1301,19 @@
       'change': 'Change',
       'focus': 'Focus',
       'blur': 'Blur',
-      'submit': 'Submit'
+      'submit': 'Submit',
+      'wait': 'Wait',
+      'navigate': 'Navigate',
+      'switch-tab': 'Switch to',
+      'reload': 'Reload',
+      'back': 'Back',
+      'forward': 'Forward',
+      'dblclick': 'Double-click',
+      'contextmenu': 'Right-click',
+      'hover': 'Hover',
+      'drag': 'Drag',
+      'upload': 'Upload',
+      'scroll': 'Scroll'
     };
     return verbs[actionType] || 'Interact';
   }
@@ -578,6 +1346,42 @@
     });
   }
   
+  function formatDateTime(timestamp) {
+    if (!timestamp) return '';
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+  }
+  
+  function formatUploadedFile(file) {
+    if (file.size === undefined) return file.name;
+    const size = file.size < 1024 ? `${file.size} B`
+      : file.size < 1024 * 1024 ? `${Math.round(file.size / 1024)} KB`
+      : `${(file.size / (1024 * 1024)).toFixed(1)} MB`;
+    return `${file.name} (${size}, ${file.type}${file.fixtureId ? '' : ', not stored'})`;
+  }
+  
+  // What the step waited for while recording (action.waitFor)
+  function formatStepWait(wait) {
+    switch (wait.type) {
+      case 'networkIdle': return `network idle (${wait.requests.join(', ')})`;
+      case 'urlChanged': return `URL ${wait.url}`;
+      case 'spinnerGone': return `${wait.selector} gone`;
+      case 'elementVisible': return 'element visible';
+    }
+    return wait.type;
+  }
+  
+  // A console error, uncaught exception or unhandled rejection reported by the page
+  function formatPageError(error) {
+    const prefix = { console: 'console.error: ', exception: 'Uncaught ' }[error.kind] || '';
+    return `${prefix}${error.message}${error.source ? ` (${error.source})` : ''}`;
+  }
+  
   function escapeHtml(text) {
     if (typeof text !== 'string') return text;
     const div = document.createElement('div');
@@ -585,6 +1389,359 @@
     return div.innerHTML;
   }
   
+  // ==================== ACTION EDITING ====================
+  const MAX_UNDO_STEPS = 50;
+  
+  // Steps that can be inserted by hand between recorded actions
+  const MANUAL_STEP_TYPES = {
+    wait: 'Wait',
+    navigate: 'Navigate',
+    assertion: 'Custom assertion'
+  };
+  
+  const MANUAL_STEP_FIELDS = {
+    wait: [{ key: 'duration', label: 'Wait (ms)', type: 'number', value: 1000 }],
+    navigate: [{ key: 'url', label: 'URL', placeholder: 'https://' }],
+    assertion: [
+      { key: 'locator', label: 'Locator (XPath or CSS)', placeholder: '//button[@id="save"] or #save' },
+      { key: 'expectedValue', label: 'Expected text', placeholder: 'Leave empty to assert the element is visible' }
+    ]
+  };
+  
+  function canEditActions() {
+    return !state.isRecording && !state.isReplaying;
+  }
+  
+  /**
+   * Apply an edit to the action list: snapshot for undo, mutate in place, save and re-render
+   */
+  async function commitActionEdit(mutate) {
+    pushUndoSnapshot();
+    mutate(state.recordedActions);
+    state.replayResults = [];
+    await persistActionEdits();
+    renderActions();
+  }
+  
+  function pushUndoSnapshot() {
+    state.undoStack.push(JSON.stringify(state.recordedActions));
+    if (state.undoStack.length > MAX_UNDO_STEPS) state.undoStack.shift();
+  }
+  
+  async function undoActionEdit() {
+    if (!canEditActions() || state.undoStack.length === 0) return;
+    
+    // Restore in place so the array stays shared with the saved test case
+    const snapshot = JSON.parse(state.undoStack.pop());
+    state.recordedActions.splice(0, state.recordedActions.length, ...snapshot);
+    state.replayResults = [];
+    await persistActionEdits();
+    renderActions();
+    console.log('[SidePanel] Undid action edit');
+  }
+  
+  async function persistActionEdits() {
+    if (state.selectedTestCase?.actions !== state.recordedActions) return;
+    await saveTestSuites();
+    renderHistoryTree();
+  }
+  
+  function updateUndoButton() {
+    const visible = canEditActions() && state.undoStack.length > 0;
+    elements.undoEditBtn.style.display = visible ? 'inline-flex' : 'none';
+  }
+  
+  /**
+   * Add the drag handle and edit / insert / delete buttons to a rendered action
+   */
+  function attachEditTools(item, action, index) {
+    const tools = document.createElement('div');
+    tools.className = 'action-tools';
+    tools.innerHTML = `
+      <span class="action-tool drag-handle" title="Drag to reorder">⋮⋮</span>
+      ${action.type !== 'pause' ? '<button class="action-tool" data-tool="edit" title="Edit step">✎</button>' : ''}
+      <button class="action-tool" data-tool="insert" title="Insert step below">+</button>
+      <button class="action-tool danger" data-tool="delete" title="Delete step">✕</button>
+    `;
+    tools.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const tool = e.target.closest('[data-tool]')?.dataset.tool;
+      if (tool === 'edit') {
+        openActionEditor(item, getEditableFields(action), (values) => {
+          if (isResponseAssertion(action)) {
+            const edited = { ...action };
+            if (!applyResponseExpectation(edited, values)) return false;
+            commitActionEdit(actions => Object.assign(actions[index], edited));
+            return;
+          }
+          if (!isValidMatchPattern(values)) return false;
+          if (values.variable !== undefined && !isValidVariableName(values.variable)) {
+            alert('Variable names use letters, digits and underscores and do not start with a digit.');
+            return false;
+          }
+          commitActionEdit(actions => applyActionChanges(actions[index], values));
+        });
+      } else if (tool === 'insert') {
+        openInsertEditor(item, index);
+      } else if (tool === 'delete') {
+        commitActionEdit(actions => actions.splice(index, 1));
+      }
+    });
+    item.querySelector('.action-header').appendChild(tools);
+    
+    // Drag and drop to reorder
+    item.draggable = true;
+    item.addEventListener('dragstart', (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(index));
+      item.classList.add('dragging');
+    });
+    item.addEventListener('dragend', () => item.classList.remove('dragging'));
+    item.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      item.classList.add('drag-over');
+    });
+    item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      item.classList.remove('drag-over');
+      const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+      if (Number.isNaN(from) || from === index) return;
+      commitActionEdit(actions => {
+        const [moved] = actions.splice(from, 1);
+        actions.splice(index, 0, moved);
+      });
+    });
+  }
+  
+  function getEditableFields(action) {
+    let fields;
+    switch (action.type) {
+      case 'page-marker':
+        fields = [{ key: 'pageName', label: 'Page name' }];
+        break;
+      case 'wait':
+        fields = [{ key: 'duration', label: 'Wait (ms)', type: 'number' }];
+        break;
+      case 'navigate':
+        fields = [{ key: 'url', label: 'URL' }, { key: 'description', label: 'Description' }];
+        break;
+      case 'switch-tab':
+      case 'reload':
+      case 'back':
+      case 'forward':
+        fields = [{ key: 'description', label: 'Description' }];
+        break;
+      case 'assertion':
+        // Response assertions describe themselves from their expectation
+        if (isResponseAssertion(action)) {
+          fields = getAssertionFields(action);
+          break;
+        }
+        fields = [{ key: 'description', label: 'Description' }, ...getAssertionFields(action)];
+        if (!PAGE_ASSERTION_TYPES.includes(action.assertionType)) fields.push({ key: 'locator', label: 'Locator (XPath or CSS)' });
+        break;
+      case 'capture':
+        fields = [
+          { key: 'description', label: 'Description' },
+          { key: 'variable', label: 'Variable' },
+          { key: 'source', label: 'Read', options: CAPTURE_SOURCE_OPTIONS },
+          { key: 'locator', label: 'Locator (XPath or CSS)' }
+        ];
+        break;
+      default:
+        fields = [{ key: 'description', label: 'Description' }];
+        if (['input', 'select'].includes(action.type)) fields.push({ key: 'value', label: 'Value' });
+        if (action.type === 'keypress') fields.push({ key: 'key', label: 'Key' });
+        fields.push({ key: 'locator', label: 'Locator (XPath or CSS)' });
+    }
+    
+    return fields.map(f => ({
+      ...f,
+      value: f.key === 'locator' ? getEditableLocator(action) : String(action[f.key] ?? '')
+    }));
+  }
+  
+  /**
+   * The expectation fields of each assertion type
+   */
+  function getAssertionFields(action) {
+    switch (action.assertionType) {
+      case 'text':
+      case 'url':
+      case 'title':
+        return [
+          { key: 'match', label: 'Match', options: ASSERTION_MATCH_OPTIONS },
+          { key: 'expectedValue', label: 'Expected' }
+        ];
+      case 'value':
+        return [{ key: 'expectedValue', label: 'Expected value' }];
+      case 'attribute':
+        return [{ key: 'attributeName', label: 'Attribute' }, { key: 'expectedValue', label: 'Expected value' }];
+      case 'css':
+        return [{ key: 'cssProperty', label: 'CSS property' }, { key: 'expectedValue', label: 'Expected value' }];
+      case 'checked':
+        return [{ key: 'checked', label: 'Expected state', options: { true: 'Checked', false: 'Unchecked' } }];
+      case 'count':
+        return [{ key: 'countSelector', label: 'CSS selector' }, { key: 'expectedCount', label: 'Expected count', type: 'number' }];
+      case 'response':
+        return [
+          { key: 'expectedStatus', label: 'Expected status', type: 'number' },
+          { key: 'jsonPath', label: 'JSON path (optional)' },
+          { key: 'expectedValue', label: 'Expected JSON value' }
+        ];
+      default:
+        return [];
+    }
+  }
+  
+  /**
+   * The locator shown in the editor: the best one replay can use directly
+   */
+  function getEditableLocator(action) {
+    const locator = (action.locators || []).find(l => l.unique && ['testId', 'css', 'xpath', 'fullXPath'].includes(l.strategy));
+    return locator?.value || action.xpath || '';
+  }
+  
+  function isValidMatchPattern(values) {
+    if (values.match !== 'regex') return true;
+    try {
+      new RegExp(values.expectedValue || '');
+      return true;
+    } catch (e) {
+      alert(`Invalid regular expression: ${values.expectedValue}`);
+      return false;
+    }
+  }
+  
+  function applyActionChanges(action, values) {
+    const { locator, ...fields } = values;
+    if (fields.duration !== undefined) {
+      fields.duration = Math.max(0, parseInt(fields.duration, 10) || 0);
+      fields.description = `Wait ${fields.duration} ms`;
+    }
+    if (fields.expectedValue !== undefined) fields.expectedValue = fields.expectedValue || null;
+    if (fields.expectedCount !== undefined) fields.expectedCount = Math.max(0, parseInt(fields.expectedCount, 10) || 0);
+    if (fields.checked !== undefined) fields.checked = fields.checked === 'true';
+    if (fields.variable !== undefined) fields.variable = fields.variable.trim();
+    Object.assign(action, fields);
+    
+    if (locator && locator !== getEditableLocator(action)) setManualLocator(action, locator);
+  }
+  
+  /**
+   * A hand-written locator is ranked first; recorded alternatives stay behind it as fallbacks
+   */
+  function setManualLocator(action, value) {
+    const strategy = /^\(*\//.test(value) ? 'xpath' : 'css';
+    if (strategy === 'xpath') action.xpath = value;
+    action.locators = [
+      { strategy, value, unique: true, score: 100, manual: true },
+      ...(action.locators || []).filter(l => !l.manual)
+    ];
+  }
+  
+  function openInsertEditor(item, index, type = 'wait') {
+    const fields = [
+      { key: 'type', label: 'Step type', options: MANUAL_STEP_TYPES, value: type },
+      ...MANUAL_STEP_FIELDS[type]
+    ];
+    
+    const editor = openActionEditor(item, fields, (values) => {
+      const step = createManualStep(values);
+      if (!step) {
+        alert(values.type === 'navigate' ? 'Please enter a URL' : 'Please enter a locator');
+        return false;
+      }
+      step.step = state.recordedActions[index]?.step || null;
+      commitActionEdit(actions => actions.splice(index + 1, 0, step));
+    });
+    
+    editor.querySelector('[data-key="type"]').addEventListener('change', (e) => {
+      openInsertEditor(item, index, e.target.value);
+    });
+  }
+  
+  function createManualStep(values) {
+    const base = { manual: true, timestamp: Date.now() };
+    
+    switch (values.type) {
+      case 'wait': {
+        const duration = Math.max(0, parseInt(values.duration, 10) || 0);
+        return { ...base, type: 'wait', duration, description: `Wait ${duration} ms` };
+      }
+      case 'navigate':
+        if (!values.url) return null;
+        return { ...base, type: 'navigate', url: values.url, description: `Navigate to ${values.url}` };
+      case 'assertion': {
+        if (!values.locator) return null;
+        const step = {
+          ...base,
+          type: 'assertion',
+          assertionType: values.expectedValue ? 'text' : 'visible',
+          match: 'contains',
+          expectedValue: values.expectedValue || null
+        };
+        setManualLocator(step, values.locator);
+        return step;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Show an inline form below an action; onSave receives { key: value } and may return false to keep it open
+   */
+  function openActionEditor(item, fields, onSave) {
+    elements.actionsList.querySelector('.action-editor')?.remove();
+    
+    const editor = document.createElement('div');
+    editor.className = 'action-editor';
+    editor.innerHTML = `
+      ${fields.map(f => `
+        <label class="editor-field">
+          <span class="editor-label">${escapeHtml(f.label)}</span>
+          ${f.options ? `
+            <select class="form-input" data-key="${f.key}">
+              ${Object.entries(f.options).map(([value, label]) => `<option value="${value}" ${value === f.value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            </select>
+          ` : `
+            <input class="form-input" data-key="${f.key}" type="${f.type || 'text'}" value="${escapeHtml(String(f.value ?? ''))}" placeholder="${escapeHtml(f.placeholder || '')}">
+          `}
+        </label>
+      `).join('')}
+      <div class="editor-actions">
+        <button class="btn btn-secondary" data-editor="cancel">Cancel</button>
+        <button class="btn btn-primary" data-editor="save">Save</button>
+      </div>
+    `;
+    
+    const close = () => {
+      editor.remove();
+      item.draggable = true;
+    };
+    const save = () => {
+      const values = {};
+      editor.querySelectorAll('[data-key]').forEach(input => {
+        values[input.dataset.key] = input.value.trim();
+      });
+      if (onSave(values) !== false) close();
+    };
+    
+    editor.querySelector('[data-editor="cancel"]').addEventListener('click', close);
+    editor.querySelector('[data-editor="save"]').addEventListener('click', save);
+    editor.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') save();
+      if (e.key === 'Escape') close();
+    });
+    
+    // Text selection inside the form would otherwise start a drag
+    item.draggable = false;
+    item.after(editor);
+    editor.querySelector('input, select')?.focus();
+    return editor;
+  }
+  
   // ==================== MESSAGE HANDLING ====================
   function handleBackgroundMessage(message, sender, sendResponse) {
     console.log('[SidePanel] Received message:', message.type);
@@ -593,17 +1750,62 @@
       case 'NEW_ACTION':
         // Add action to list and re-render
         if (state.isRecording && message.action) {
+          if (message.removed) state.recordedActions.splice(-message.removed);
           state.recordedActions.push(message.action);
           renderActions();
           console.log('[SidePanel] New action added, total:', state.recordedActions.length);
         }
         break;
         
+      case 'SCREENSHOT_CAPTURED': {
+        const action = state.isRecording && state.recordedActions.find(a => a.timestamp === message.timestamp);
+        if (action) {
+          action.screenshotId = message.screenshotId;
+          renderActions();
+        }
+        break;
+      }
+        
+      case 'PAGE_ERROR_RECORDED': {
+        const action = state.isRecording && state.recordedActions.find(a => a.timestamp === message.timestamp);
+        if (action) {
+          action.errors = message.errors;
+          renderActions();
+        }
+        break;
+      }
+        
+      case 'REPLAY_STEP_RESULT':
+        if (state.isReplaying && message.result) {
+          // Data-driven replays restart the step list for every row
+          if (message.result.row !== state.replayRow) {
+            state.replayRow = message.result.row;
+            state.replayResults = [];
+            if (message.rowCount > 1) {
+              updateRecordingStatus(`Replaying data row ${message.result.row + 1}/${message.rowCount}...`, true);
+            }
+          }
+          state.replayResults[message.result.index] = message.result;
+          if (message.result.healed) {
+            applyHealedLocator(message.result);
+          }
+          renderActions();
+        }
+        break;
+        
+      case 'REPLAY_COMPLETE':
+        handleReplayComplete(message);
+        break;
+        
+      case 'RECORDING_RESTORED':
+        // Service worker restarted mid-recording
+        resyncRecordingState();
+        break;
+        
       case 'ASSERTION_COMPLETE':
         // Hide assertion hint and deactivate buttons
         elements.assertionHint.style.display = 'none';
-        elements.assertElementBtn.classList.remove('active');
-        elements.assertTextBtn.classList.remove('active');
+        elements.addAssertionBtn.classList.remove('active');
         console.log('[SidePanel] Assertion complete');
         break;
     }
@@ -612,8 +1814,47 @@
   }
   
   // ==================== DOWNLOAD ====================
-  function downloadRecording() {
-    console.log('[SidePanel] Download clicked, actions:', state.recordedActions.length);
+  const EXPORT_FORMATS = {
+    json: { generate: formatRecordingJSON, extension: '.json', mimeType: 'application/json' },
+    // Metadata, steps, healing log and every recorded detail of each action
+    'json-detailed': { generate: exportToJSON, extension: '.json', mimeType: 'application/json' },
+    playwright: { generate: exportToPlaywright, extension: '.spec.ts', mimeType: 'text/typescript' },
+    'selenium-python': { generate: exportToSeleniumPython, extension: '.py', mimeType: 'text/x-python' },
+    // Recording JSON plus the step screenshots and upload fixtures it links to
+    zip: { generate: exportToZipBundle, extension: '.zip', mimeType: 'application/zip' },
+    // Java requires the file name to match the public class name
+    'selenium-java': {
+      generate: exportToSeleniumJava,
+      extension: '.java',
+      mimeType: 'text/x-java',
+      fileName: (recording) => `${toJavaClassName(recording.name)}.java`
+    }
+  };
+  
+  /**
+   * Build the recording object consumed by the exporters in export.js
+   */
+  function buildExportRecording() {
+    const testCase = state.selectedTestCase;
+    
+    return {
+      name: testCase?.name || 'Recording',
+      testSuite: state.selectedSuite?.name || null,
+      testCase: testCase?.name || null,
+      url: testCase?.url || state.recordedActions.find(a => a.url)?.url || '',
+      startTime: testCase?.startTime || null,
+      endTime: testCase?.endTime || null,
+      parameters: testCase?.parameters || null,
+      dataRows: testCase?.dataRows || null,
+      steps: testCase?.steps || null,
+      healingLog: testCase?.healingLog || null,
+      actions: state.recordedActions
+    };
+  }
+  
+  async function downloadRecording() {
+    const format = elements.exportFormatSelect.value || 'json';
+    console.log('[SidePanel] Download clicked, format:', format, 'actions:', state.recordedActions.length);
     
     if (state.recordedActions.length === 0) {
       console.warn('[SidePanel] No actions to download');
@@ -621,14 +1862,40 @@
       return;
     }
     
-    // Format the recording similar to the expected JSON structure
-    const recording = {
-      name: state.selectedTestCase?.name || 'Recording',
-      testSuite: state.selectedSuite?.name || 'Unknown',
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      console.error('[SidePanel] Unknown export format:', format);
+      return;
+    }
+    
+    const recording = buildExportRecording();
+    recording.actions = await withResponseBodies(recording.actions);
+    const content = await exporter.generate(recording);
+    
+    const testCaseName = state.selectedTestCase?.name || 'recording';
+    const filename = exporter.fileName
+      ? exporter.fileName(recording)
+      : `${testCaseName}_${Date.now()}`.replace(/[^a-z0-9_.-]/gi, '_') + exporter.extension;
+    
+    downloadFile(content, filename, exporter.mimeType);
+    
+    // Generated tests read uploaded files from fixtures/ next to the test file
+    if (!['json', 'json-detailed', 'zip'].includes(format)) downloadUploadFixtures(recording.actions);
+    
+    console.log('[SidePanel] Downloaded recording:', filename);
+  }
+  
+  /**
+   * The side panel's original JSON download: one flat entry per action
+   */
+  function formatRecordingJSON(recording) {
+    const formatted = {
+      name: recording.name,
+      testSuite: recording.testSuite || 'Unknown',
       url: '',
       recordedAt: new Date().toISOString(),
-      totalActions: state.recordedActions.length,
-      actions: state.recordedActions.map(action => {
+      totalActions: recording.actions.length,
+      actions: recording.actions.map(action => {
         // Format action for export
         if (action.type === 'page-marker') {
           return {
@@ -638,7 +1905,7 @@
           };
         }
         
-        const formatted = {
+        const formattedAction = {
           action: action.type,
           xpath: action.xpath,
           element: action.element?.tag || action.element,
@@ -646,32 +1913,100 @@
         };
         
         // Add optional fields
-        if (action.value) formatted.value = action.value;
-        if (action.key) formatted.key = action.key;
-        if (action.iframe) formatted.iframe = action.iframe;
-        if (action.shadow) formatted.shadow = action.shadow;
+        if (action.value) formattedAction.value = action.value;
+        if (action.key) formattedAction.key = action.key;
+        if (action.iframe) formattedAction.iframe = action.iframe;
+        if (action.shadow) formattedAction.shadow = action.shadow;
         if (action.type === 'assertion') {
-          formatted.assertionType = action.assertionType;
-          formatted.expectedValue = action.expectedValue;
+          formattedAction.assertionType = action.assertionType;
+          formattedAction.expectedValue = action.expectedValue;
           if (action.shadowInnerElement) {
-            formatted.shadowInnerElement = action.shadowInnerElement;
+            formattedAction.shadowInnerElement = action.shadowInnerElement;
           }
           if (action.shadowAssertionNote) {
-            formatted.shadowAssertionNote = action.shadowAssertionNote;
+            formattedAction.shadowAssertionNote = action.shadowAssertionNote;
           }
         }
         
-        return formatted;
+        return formattedAction;
       })
     };
     
-    const jsonStr = JSON.stringify(recording, null, 2);
-    const blob = new Blob([jsonStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+    return JSON.stringify(formatted, null, 2);
+  }
+  
+  /**
+   * ZIP with recording.json, the screenshots its actions point to (screenshots/step-NNN.png)
+   * and the files its upload steps use (fixtures/<file name>)
+   */
+  async function exportToZipBundle(recording) {
+    const files = [{ name: 'recording.json', data: exportToJSON(recording) }];
+    
+    for (const [index, action] of recording.actions.entries()) {
+      if (!action.screenshotId) continue;
+      try {
+        const screenshot = await getScreenshot(action.screenshotId);
+        if (!screenshot) {
+          console.warn('[SidePanel] Step screenshot is missing:', action.screenshotId);
+          continue;
+        }
+        files.push({ name: getScreenshotPath(index), data: new Uint8Array(await screenshot.blob.arrayBuffer()) });
+      } catch (error) {
+        console.error('[SidePanel] Error reading step screenshot:', action.screenshotId, error);
+      }
+    }
     
-    const testCaseName = state.selectedTestCase?.name || 'recording';
-    const filename = `${testCaseName}_${Date.now()}.json`
-      .replace(/[^a-z0-9_.-]/gi, '_');
+    const fixtureNames = new Set();
+    for (const file of recording.actions.filter(a => a.type === 'upload').flatMap(a => a.files || [])) {
+      if (!file.fixtureId || fixtureNames.has(file.name)) continue;
+      try {
+        const fixture = await getFixture(file.fixtureId);
+        if (!fixture) {
+          console.warn('[SidePanel] Upload fixture is missing:', file.name);
+          continue;
+        }
+        const data = new Uint8Array(await (await fetch(fixture.data)).arrayBuffer());
+        files.push({ name: `fixtures/${file.name}`, data });
+        fixtureNames.add(file.name);
+      } catch (error) {
+        console.error('[SidePanel] Error reading upload fixture:', file.name, error);
+      }
+    }
+    
+    return createZip(files);
+  }
+  
+  /**
+   * Save each stored upload fixture as fixtures/<file name> in the downloads folder
+   */
+  async function downloadUploadFixtures(actions) {
+    const files = actions.filter(a => a.type === 'upload').flatMap(a => a.files || []);
+    const saved = new Set();
+    
+    for (const file of files) {
+      if (saved.has(file.name)) continue;
+      if (!file.fixtureId) {
+        console.warn('[SidePanel] No stored contents for uploaded file:', file.name);
+        continue;
+      }
+      
+      try {
+        const fixture = await getFixture(file.fixtureId);
+        if (!fixture) {
+          console.warn('[SidePanel] Upload fixture is missing:', file.name);
+          continue;
+        }
+        await chrome.downloads.download({ url: fixture.data, filename: `fixtures/${file.name}`, conflictAction: 'overwrite' });
+        saved.add(file.name);
+      } catch (error) {
+        console.error('[SidePanel] Error downloading upload fixture:', file.name, error);
+      }
+    }
+  }
+  
+  function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
     
     // Create and trigger download
     const a = document.createElement('a');
@@ -682,8 +2017,6 @@
     document.body.removeChild(a);
     
     URL.revokeObjectURL(url);
-    
-    console.log('[SidePanel] Downloaded recording:', filename);
   }
   
   // ==================== ADD NEW TAB ====================
@@ -726,10 +2059,10 @@
       const data = await readExcelFile(file);
       const workbook = XLSX.read(data, { type: 'array' });
       
-      // Extract test cases (worksheets starting with "TC")
+      // Extract test cases (worksheets starting with "TC") with their data rows
       const testCases = workbook.SheetNames
         .filter(name => name.startsWith('TC'))
-        .map(name => ({ name }));
+        .map(name => ({ name, ...parseTestCaseSheet(workbook.Sheets[name]) }));
       
       if (testCases.length === 0) {
         alert('No test cases found. Worksheets must start with "TC".');
@@ -761,6 +2094,67 @@
     }
   }
   
+  // Header names recognised as test-step columns (everything else is a data parameter)
+  const STEP_COLUMNS = {
+    number: /^(step\s*(no\.?|num(ber)?|#|id)?|#|no\.?|s\.?\s*no\.?)$/i,
+    description: /^((test\s*)?step\s*desc(ription)?|desc(ription)?|action|test\s*step)$/i,
+    expectedResult: /^expected(\s*(result|outcome|behaviou?r))?$/i
+  };
+  
+  /**
+   * Parse a TC worksheet
+   * Step columns (step number, description, expected result) become testCase.steps.
+   * The remaining header cells name the parameters and every following row without a step description is a data set,
+   * so notes or status cells next to a step do not turn it into one.
+   * e.g. | Step No | Step Description | Expected Result | Email |
+   */
+  function parseTestCaseSheet(sheet) {
+    if (!sheet) return { parameters: [], dataRows: [], steps: [] };
+    
+    // Rows as arrays, read by column index so header cells with stray spaces still match
+    const [headerRow = [], ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false });
+    const columns = new Map();
+    headerRow.forEach((h, index) => {
+      const header = String(h).trim();
+      if (header && !columns.has(header)) columns.set(header, index);
+    });
+    const headers = [...columns.keys()];
+    
+    const stepColumns = {};
+    Object.entries(STEP_COLUMNS).forEach(([field, pattern]) => {
+      const header = headers.find(h => pattern.test(h));
+      if (header) stepColumns[field] = header;
+    });
+    const stepHeaders = Object.values(stepColumns);
+    const parameters = headers.filter(h => !stepHeaders.includes(h));
+    
+    const cell = (row, header) => (header ? String(row[columns.get(header)] ?? '').trim() : '');
+    
+    const dataRows = rows
+      .filter(row => !cell(row, stepColumns.description))
+      .map(row => {
+        const values = {};
+        parameters.forEach(param => {
+          values[param] = cell(row, param);
+        });
+        return values;
+      })
+      .filter(row => Object.values(row).some(value => value !== ''));
+    
+    // Steps need at least a description
+    const steps = stepColumns.description
+      ? rows
+        .filter(row => cell(row, stepColumns.description))
+        .map((row, index) => ({
+          number: cell(row, stepColumns.number) || String(index + 1),
+          description: cell(row, stepColumns.description),
+          expectedResult: cell(row, stepColumns.expectedResult) || null
+        }))
+      : [];
+    
+    return { parameters, dataRows, steps };
+  }
+  
   function readExcelFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -782,6 +2176,8 @@
           <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
         </svg>
         <span>${escapeHtml(testCase.name)}</span>
+        ${testCase.steps?.length ? `<span class="case-meta">${testCase.steps.length} step${testCase.steps.length !== 1 ? 's' : ''}</span>` : ''}
+        ${testCase.dataRows?.length ? `<span class="case-meta">${testCase.dataRows.length} data row${testCase.dataRows.length !== 1 ? 's' : ''}</span>` : ''}
       `;
       elements.extractedCasesList.appendChild(item);
     });
@@ -822,6 +2218,7 @@
     renderTestSuiteDropdown();
     renderExistingSuites();
     renderHistoryTree();
+    renderRulesSuiteDropdown();
     
     // Reset upload state
     cancelUpload();
@@ -859,6 +2256,36 @@
   // ==================== HISTORY TAB ====================
   function setupHistoryTabListeners() {
     elements.goToUploadBtn?.addEventListener('click', () => switchTab('addnew'));
+    elements.exportWorkbookBtn.addEventListener('click', exportWorkbook);
+  }
+  
+  /**
+   * Download every suite as an Excel workbook: a summary sheet plus
+   * one sheet per recorded test case
+   */
+  function exportWorkbook() {
+    if (state.testSuites.length === 0) {
+      alert('No test suites to export.');
+      return;
+    }
+    
+    try {
+      const suites = state.testSuites.map(suite => ({
+        name: suite.name,
+        testCases: suite.testCases.map(testCase => ({ ...testCase, status: getCaseStatus(testCase) }))
+      }));
+      
+      const filename = `test-suites_${Date.now()}.xlsx`;
+      downloadFile(
+        exportToExcelWorkbook(suites),
+        filename,
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+      console.log('[SidePanel] Exported workbook:', filename);
+    } catch (error) {
+      console.error('[SidePanel] Error exporting workbook:', error);
+      alert('Error creating Excel workbook. Please try again.');
+    }
   }
   
   function renderHistoryTree() {
@@ -913,6 +2340,7 @@
                 <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
               </svg>
               <span class="case-name">${escapeHtml(testCase.name)}</span>
+              ${testCase.actions?.length ? `<span class="case-meta" title="Recorded ${escapeHtml(formatDateTime(testCase.endTime))}">${testCase.actions.length} actions · v${testCase.revision || 1}${testCase.healingLog?.length ? ` · ${testCase.healingLog.length} healed` : ''}</span>` : ''}
               ${status ? `<span class="${statusClass}">${status}</span>` : ''}
             </div>
           `;}).join('')}
@@ -941,6 +2369,213 @@
     return '';
   }
   
+  // ==================== SETTINGS TAB ====================
+  // Masked out of the box: passwords, payment cards, one-time codes, tokens and identity numbers
+  const DEFAULT_MASKING_POLICY = {
+    inputTypes: ['password'],
+    autocomplete: ['current-password', 'new-password', 'one-time-code', 'cc-number', 'cc-csc', 'cc-exp', 'cc-exp-month', 'cc-exp-year'],
+    namePatterns: [
+      'passw(or)?d|passcode',
+      'secret|token|api[-_]?key',
+      '(^|[-_])(ssn|otp|pin)($|[-_])',
+      'social[-_]?security',
+      'card[-_]?(number|num|no)|cvv|cvc'
+    ],
+    // Value patterns apply to every field, so the defaults only match formats that are hardly anything else:
+    // grouped card numbers and SSNs. Emails, phone numbers and plain digit runs are opt-in
+    valuePatterns: [
+      '^\\d{4}([ -])\\d{4}\\1\\d{4}\\1\\d{1,7}$',
+      '^\\d{3}-\\d{2}-\\d{4}$'
+    ],
+    selectors: []
+  };
+  
+  // Value patterns stored as defaults by earlier versions; they also matched usernames and order numbers
+  const LEGACY_DEFAULT_VALUE_PATTERNS = [
+    '^(?:\\d[ -]?){12,18}\\d$',
+    '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$',
+    '^\\+?\\d{1,3}[ .-]?\\(?\\d{2,4}\\)?[ .-]?\\d{3}[ .-]?\\d{3,4}$',
+    '^\\d{3}-\\d{2}-\\d{4}$'
+  ];
+  
+  function setupSettingsTabListeners() {
+    elements.rulesSuiteSelect.addEventListener('change', renderLocatorRules);
+    elements.saveRulesBtn.addEventListener('click', saveLocatorRules);
+    elements.resetRulesBtn.addEventListener('click', () => {
+      const suite = state.testSuites[elements.rulesSuiteSelect.value];
+      if (!suite || !confirm(`Reset locator rules for "${suite.name}" to the defaults?`)) return;
+      delete suite.locatorRules;
+      saveTestSuites();
+      renderLocatorRules();
+      syncActiveLocatorRules();
+    });
+    elements.storeUploadFixturesInput.addEventListener('change', saveRecordingOptions);
+    elements.captureScreenshotsInput.addEventListener('change', saveRecordingOptions);
+    elements.networkCaptureSelect.addEventListener('change', saveRecordingOptions);
+    elements.saveMaskingBtn.addEventListener('click', saveMaskingPolicy);
+    elements.resetMaskingBtn.addEventListener('click', async () => {
+      if (!confirm('Reset the sensitive data policy to the defaults?')) return;
+      await chrome.storage.local.set({ maskingPolicy: DEFAULT_MASKING_POLICY });
+      renderMaskingPolicy(DEFAULT_MASKING_POLICY);
+    });
+  }
+  
+  function renderRulesSuiteDropdown() {
+    const selected = elements.rulesSuiteSelect.value;
+    elements.rulesSuiteSelect.innerHTML = '<option value="">Select a test suite...</option>';
+    
+    state.testSuites.forEach((suite, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = suite.name;
+      elements.rulesSuiteSelect.appendChild(option);
+    });
+    
+    elements.rulesSuiteSelect.value = state.testSuites[selected] ? selected : '';
+    renderLocatorRules();
+  }
+  
+  function renderLocatorRules() {
+    const suite = state.testSuites[elements.rulesSuiteSelect.value];
+    elements.locatorRulesForm.style.display = suite ? 'block' : 'none';
+    if (!suite) return;
+    
+    const rules = suite.locatorRules || {};
+    elements.preferredAttributesInput.value = (rules.preferredAttributes || []).join('\n');
+    elements.ignoredAttributesInput.value = (rules.ignoredAttributes || []).join('\n');
+    elements.dynamicIdPatternsInput.value = (rules.dynamicIdPatterns || []).join('\n');
+    elements.avoidClassPatternsInput.value = (rules.avoidClassPatterns || []).join('\n');
+  }
+  
+  async function saveLocatorRules() {
+    const suite = state.testSuites[elements.rulesSuiteSelect.value];
+    if (!suite) return;
+    
+    const rules = {
+      preferredAttributes: toLines(elements.preferredAttributesInput),
+      ignoredAttributes: toLines(elements.ignoredAttributesInput),
+      dynamicIdPatterns: toLines(elements.dynamicIdPatternsInput),
+      avoidClassPatterns: toLines(elements.avoidClassPatternsInput)
+    };
+    
+    const invalid = findInvalidPattern([...rules.dynamicIdPatterns, ...rules.avoidClassPatterns]);
+    if (invalid) {
+      alert(`Invalid regular expression: ${invalid}`);
+      return;
+    }
+    
+    suite.locatorRules = rules;
+    await saveTestSuites();
+    await syncActiveLocatorRules();
+    
+    console.log('[SidePanel] Saved locator rules for suite:', suite.name, rules);
+  }
+  
+  function toLines(input) {
+    return input.value.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+  
+  function findInvalidPattern(patterns) {
+    return patterns.find(pattern => {
+      try {
+        new RegExp(pattern);
+        return false;
+      } catch (e) {
+        return true;
+      }
+    });
+  }
+  
+  /**
+   * Publish the selected suite's rules to chrome.storage.local, where content.js reads them
+   */
+  async function syncActiveLocatorRules() {
+    await chrome.storage.local.set({ activeLocatorRules: state.selectedSuite?.locatorRules || null });
+  }
+  
+  /**
+   * Recording options live in chrome.storage.local, where content.js reads them
+   */
+  async function loadRecordingOptions() {
+    try {
+      const { recordingOptions } = await chrome.storage.local.get('recordingOptions');
+      elements.storeUploadFixturesInput.checked = recordingOptions?.storeUploadFixtures !== false;
+      elements.captureScreenshotsInput.checked = recordingOptions?.captureScreenshots === true;
+      elements.networkCaptureSelect.value = recordingOptions?.networkCapture || 'off';
+    } catch (error) {
+      console.error('[SidePanel] Error loading recording options:', error);
+    }
+  }
+  
+  async function saveRecordingOptions() {
+    const recordingOptions = {
+      storeUploadFixtures: elements.storeUploadFixturesInput.checked,
+      captureScreenshots: elements.captureScreenshotsInput.checked,
+      networkCapture: elements.networkCaptureSelect.value
+    };
+    await chrome.storage.local.set({ recordingOptions });
+    console.log('[SidePanel] Saved recording options:', recordingOptions);
+  }
+  
+  /**
+   * The masking policy lives in chrome.storage.local, where content.js reads it.
+   * The defaults are stored on first use so recording masks them before the policy is ever edited.
+   */
+  async function loadMaskingPolicy() {
+    try {
+      let { maskingPolicy } = await chrome.storage.local.get('maskingPolicy');
+      if (!maskingPolicy) {
+        maskingPolicy = DEFAULT_MASKING_POLICY;
+        await chrome.storage.local.set({ maskingPolicy });
+      } else if (JSON.stringify(maskingPolicy.valuePatterns) === JSON.stringify(LEGACY_DEFAULT_VALUE_PATTERNS)) {
+        maskingPolicy = { ...maskingPolicy, valuePatterns: DEFAULT_MASKING_POLICY.valuePatterns };
+        await chrome.storage.local.set({ maskingPolicy });
+      }
+      renderMaskingPolicy(maskingPolicy);
+    } catch (error) {
+      console.error('[SidePanel] Error loading masking policy:', error);
+    }
+  }
+  
+  function renderMaskingPolicy(policy) {
+    elements.maskInputTypesInput.value = (policy.inputTypes || []).join('\n');
+    elements.maskAutocompleteInput.value = (policy.autocomplete || []).join('\n');
+    elements.maskNamePatternsInput.value = (policy.namePatterns || []).join('\n');
+    elements.maskValuePatternsInput.value = (policy.valuePatterns || []).join('\n');
+    elements.maskSelectorsInput.value = (policy.selectors || []).join('\n');
+  }
+  
+  async function saveMaskingPolicy() {
+    const maskingPolicy = {
+      inputTypes: toLines(elements.maskInputTypesInput),
+      autocomplete: toLines(elements.maskAutocompleteInput),
+      namePatterns: toLines(elements.maskNamePatternsInput),
+      valuePatterns: toLines(elements.maskValuePatternsInput),
+      selectors: toLines(elements.maskSelectorsInput)
+    };
+    
+    const invalid = findInvalidPattern([...maskingPolicy.namePatterns, ...maskingPolicy.valuePatterns]);
+    if (invalid) {
+      alert(`Invalid regular expression: ${invalid}`);
+      return;
+    }
+    const invalidSelector = maskingPolicy.selectors.find(selector => {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        return false;
+      } catch (e) {
+        return true;
+      }
+    });
+    if (invalidSelector) {
+      alert(`Invalid CSS selector: ${invalidSelector}`);
+      return;
+    }
+    
+    await chrome.storage.local.set({ maskingPolicy });
+    console.log('[SidePanel] Saved masking policy:', maskingPolicy);
+  }
+  
   // ==================== START ====================
   init();
   